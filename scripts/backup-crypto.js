@@ -0,0 +1,142 @@
+/*
+ * Gnoke Gas — backup-crypto.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Passphrase encryption for backup files. WebCrypto only — works offline,
+ * needs a secure context (https or localhost).
+ *
+ * Container, version 1 (all integers big-endian):
+ *
+ *   offset  size  field
+ *   0       8     magic       "GNOKEGAS"
+ *   8       1     version     1
+ *   9       1     kdf         1 = PBKDF2-HMAC-SHA256
+ *   10      4     iterations
+ *   14      16    salt
+ *   30      12    iv
+ *   42      …     AES-256-GCM ciphertext of the SQLite file, 16-byte tag last
+ *
+ * The 42 header bytes are passed as additional data, so changing any of
+ * them (e.g. lowering iterations) fails authentication like the body would.
+ */
+
+const BackupCrypto = (() => {
+
+  const MAGIC       = 'GNOKEGAS';
+  const VERSION     = 1;
+  const KDF_PBKDF2  = 1;
+  const ITERATIONS  = 600000;
+  const SALT_BYTES  = 16;
+  const IV_BYTES    = 12;
+  const HEADER_SIZE = 8 + 1 + 1 + 4 + SALT_BYTES + IV_BYTES;
+
+  const MIN_PASSPHRASE = 8;
+
+  function _subtle() {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) throw new Error('Encryption needs the app to be opened over https');
+    return subtle;
+  }
+
+  async function _deriveKey(passphrase, salt, iterations) {
+    const subtle = _subtle();
+    const base = await subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      base,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * True if the bytes start with the container magic.
+   */
+  function isEncrypted(uint8) {
+    if (uint8.length < MAGIC.length) return false;
+    return String.fromCharCode(...uint8.subarray(0, MAGIC.length)) === MAGIC;
+  }
+
+  /**
+   * Encrypt a database file.
+   * @param {Uint8Array} uint8
+   * @param {string} passphrase
+   * @returns {Promise<Uint8Array>} container bytes
+   */
+  async function encrypt(uint8, passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE)
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv   = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+    const header = new Uint8Array(HEADER_SIZE);
+    const view   = new DataView(header.buffer);
+    header.set(new TextEncoder().encode(MAGIC), 0);
+    view.setUint8(8, VERSION);
+    view.setUint8(9, KDF_PBKDF2);
+    view.setUint32(10, ITERATIONS);
+    header.set(salt, 14);
+    header.set(iv, 14 + SALT_BYTES);
+
+    const key    = await _deriveKey(passphrase, salt, ITERATIONS);
+    const cipher = await _subtle().encrypt(
+      { name: 'AES-GCM', iv, additionalData: header }, key, uint8
+    );
+
+    const out = new Uint8Array(HEADER_SIZE + cipher.byteLength);
+    out.set(header, 0);
+    out.set(new Uint8Array(cipher), HEADER_SIZE);
+    return out;
+  }
+
+  /**
+   * Decrypt a container made by encrypt().
+   * @param {Uint8Array} uint8
+   * @param {string} passphrase
+   * @returns {Promise<Uint8Array>} the SQLite file
+   * @throws on a wrong passphrase or any change to the file
+   */
+  async function decrypt(uint8, passphrase) {
+    if (!isEncrypted(uint8) || uint8.length < HEADER_SIZE + 16)
+      throw new Error('This is not an encrypted Gnoke Gas backup');
+
+    const view    = new DataView(uint8.buffer, uint8.byteOffset, HEADER_SIZE);
+    const version = view.getUint8(8);
+    if (version > VERSION)
+      throw new Error('This backup was encrypted by a newer version of the app — update first');
+    const iterations = view.getUint32(10);
+    if (version !== VERSION || view.getUint8(9) !== KDF_PBKDF2
+        || iterations < 1 || iterations > ITERATIONS * 10)
+      throw new Error('This encrypted backup is damaged');
+
+    const header     = uint8.subarray(0, HEADER_SIZE);
+    const salt       = uint8.slice(14, 14 + SALT_BYTES);
+    const iv         = uint8.slice(14 + SALT_BYTES, HEADER_SIZE);
+
+    const key = await _deriveKey(passphrase, salt, iterations);
+    try {
+      const plain = await _subtle().decrypt(
+        { name: 'AES-GCM', iv, additionalData: header }, key, uint8.subarray(HEADER_SIZE)
+      );
+      return new Uint8Array(plain);
+    } catch (err) {
+      // GCM cannot tell a wrong key from altered bytes
+      throw new Error('Wrong passphrase, or the file has been changed');
+    }
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    MIN_PASSPHRASE,
+    isEncrypted,
+    encrypt,
+    decrypt,
+  };
+
+})();
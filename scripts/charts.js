@@ -0,0 +1,134 @@
+/*
+ * Gnoke Gas — charts.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Minimal SVG charts — no libraries, no network.
+ * Each function replaces the contents of a container element with an
+ * SVG that scales to the container's width.
+ *
+ * points: [{ label: 'Feb', value: 123.4 }, ...] in display order.
+ */
+
+const Charts = (() => {
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const W      = 320;   // viewBox width — scaled to the container
+  const H      = 140;   // viewBox height
+  const PAD    = { top: 14, right: 6, bottom: 20, left: 6 };
+
+  function _el(name, attrs = {}, text) {
+    const node = document.createElementNS(SVG_NS, name);
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function _svg(container) {
+    const svg = _el('svg', {
+      viewBox: `0 0 ${W} ${H}`,
+      width: '100%',
+      role: 'img',
+    });
+    container.innerHTML = '';
+    container.appendChild(svg);
+    return svg;
+  }
+
+  function _empty(svg) {
+    svg.appendChild(_el('text', {
+      x: W / 2, y: H / 2, 'text-anchor': 'middle',
+      'font-size': 9, 'font-family': 'DM Mono, monospace', fill: '#a8a29e',
+    }, 'NO DATA'));
+  }
+
+  // Show every nth label so they never overlap
+  function _labelStep(count) {
+    return Math.max(1, Math.ceil(count / 8));
+  }
+
+  function _axis(svg) {
+    const y = H - PAD.bottom;
+    svg.appendChild(_el('line', {
+      x1: PAD.left, y1: y, x2: W - PAD.right, y2: y,
+      stroke: '#e2ddd8', 'stroke-width': 1,
+    }));
+  }
+
+  function _label(svg, x, text) {
+    svg.appendChild(_el('text', {
+      x, y: H - 6, 'text-anchor': 'middle',
+      'font-size': 8, 'font-family': 'DM Mono, monospace', fill: '#a8a29e',
+    }, text));
+  }
+
+  /**
+   * Vertical bar chart.
+   * @param {Element} container
+   * @param {Array<{label, value}>} points
+   * @param {{ color?: string, format?: Function }} opts
+   */
+  function bar(container, points, { color = '#ea580c', format = String } = {}) {
+    const svg = _svg(container);
+    if (!points.length) { _empty(svg); return; }
+
+    const max    = Math.max(...points.map(p => p.value), 0) || 1;
+    const innerW = W - PAD.left - PAD.right;
+    const innerH = H - PAD.top - PAD.bottom;
+    const slot   = innerW / points.length;
+    const barW   = Math.max(2, slot * 0.7);
+    const step   = _labelStep(points.length);
+
+    _axis(svg);
+    points.forEach((p, i) => {
+      const h = Math.max(0, p.value) / max * innerH;
+      const x = PAD.left + i * slot + (slot - barW) / 2;
+      const rect = _el('rect', {
+        x, y: PAD.top + innerH - h, width: barW, height: h,
+        rx: 1.5, fill: color,
+      });
+      rect.appendChild(_el('title', {}, `${p.label}: ${format(p.value)}`));
+      svg.appendChild(rect);
+      if (i % step === 0) _label(svg, x + barW / 2, p.label);
+    });
+  }
+
+  /**
+   * Line chart with point markers.
+   * @param {Element} container
+   * @param {Array<{label, value}>} points
+   * @param {{ color?: string, format?: Function }} opts
+   */
+  function line(container, points, { color = '#16a34a', format = String } = {}) {
+    const svg = _svg(container);
+    if (!points.length) { _empty(svg); return; }
+
+    const max    = Math.max(...points.map(p => p.value), 0) || 1;
+    const innerW = W - PAD.left - PAD.right;
+    const innerH = H - PAD.top - PAD.bottom;
+    const slot   = innerW / points.length;
+    const step   = _labelStep(points.length);
+    const coords = points.map((p, i) => [
+      PAD.left + i * slot + slot / 2,
+      PAD.top + innerH - Math.max(0, p.value) / max * innerH,
+    ]);
+
+    _axis(svg);
+    svg.appendChild(_el('polyline', {
+      points: coords.map(c => c.join(',')).join(' '),
+      fill: 'none', stroke: color, 'stroke-width': 1.6,
+      'stroke-linejoin': 'round',
+    }));
+    coords.forEach(([x, y], i) => {
+      const dot = _el('circle', { cx: x, cy: y, r: 2.2, fill: color });
+      dot.appendChild(_el('title', {}, `${points[i].label}: ${format(points[i].value)}`));
+      svg.appendChild(dot);
+      if (i % step === 0) _label(svg, x, points[i].label);
+    });
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { bar, line };
+
+})();
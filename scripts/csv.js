@@ -0,0 +1,103 @@
+/*
+ * Gnoke Gas — csv.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * RFC 4180 CSV reader.
+ *   - Quoted fields may contain the delimiter, "" escapes and line breaks
+ *   - CRLF, LF and lone CR line endings
+ *   - A leading UTF-8 BOM is ignored
+ *   - Comma, semicolon or tab delimiter (Excel uses ; in some locales)
+ *
+ * No dependencies.
+ */
+
+const CSV = (() => {
+
+  const DELIMITERS = [',', ';', '\t'];
+
+  /**
+   * Guess the delimiter from the first line — whichever candidate appears
+   * most often outside quotes. Falls back to comma.
+   */
+  function sniffDelimiter(text) {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let quoted = false;
+    for (const ch of text.replace(/^\uFEFF/, '')) {
+      if (ch === '"') quoted = !quoted;
+      else if (!quoted && (ch === '\n' || ch === '\r')) break;
+      else if (!quoted && ch in counts) counts[ch]++;
+    }
+    return DELIMITERS.reduce((best, d) => counts[d] > counts[best] ? d : best, ',');
+  }
+
+  /**
+   * Parse CSV text into records.
+   * Blank lines are skipped. Each record keeps the line it starts on so
+   * callers can report errors against the file the user sees.
+   *
+   * @param {string} text
+   * @param {{ delimiter?: string }} opts — sniffed when omitted
+   * @returns {Array<{ line: number, fields: string[] }>}
+   * @throws if a quoted field is never closed
+   */
+  function parse(text, { delimiter } = {}) {
+    text = String(text).replace(/^\uFEFF/, '');
+    delimiter = delimiter || sniffDelimiter(text);
+
+    const records = [];
+    let fields    = [];
+    let field     = '';
+    let quoted    = false;
+    let line      = 1;
+    let startLine = 1;
+    let i         = 0;
+
+    const endField = () => { fields.push(field); field = ''; };
+    const endRecord = () => {
+      endField();
+      // A line with nothing on it is not a record
+      if (fields.length > 1 || fields[0] !== '') records.push({ line: startLine, fields });
+      fields = [];
+    };
+
+    while (i < text.length) {
+      const ch = text[i];
+
+      if (quoted) {
+        if (ch === '"') {
+          if (text[i + 1] === '"') { field += '"'; i += 2; continue; }
+          quoted = false;
+        } else {
+          if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+          field += ch;
+        }
+        i++;
+        continue;
+      }
+
+      if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === '\r' || ch === '\n') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+        startLine = line;
+      } else {
+        field += ch;
+      }
+      i++;
+    }
+
+    if (quoted) throw new Error(`Line ${startLine}: quoted field is never closed`);
+    if (field !== '' || fields.length) endRecord();
+    return records;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return { parse, sniffDelimiter };
+
+})();
@@ -0,0 +1,126 @@
+/*
+ * Gnoke Gas — day-report.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * End-of-day report for one date: gathers everything day-report.html
+ * prints, and the plain-text summary sent to the owner on WhatsApp.
+ *
+ * Depends on db-core.js, format.js, db-sales.js, db-products.js, db-deliveries.js,
+ * db-expenses.js
+ */
+
+const DayReport = (() => {
+
+  // What a sale leaves unpaid — same rule as OWED in db-sales.js
+  function _owed(s) {
+    if (s.payment_status === 'credit') return s.price;
+    if (s.payment_status === 'part')   return Math.max(s.price - s.amount_paid, 0);
+    return 0;
+  }
+
+  /**
+   * Everything on the report for a date, or null if no day was recorded.
+   * @returns {{
+   *   company,                     // { name, phone, address }
+   *   totals,                      // the day's filterHistory row
+   *   prices,                      // price log, earliest first
+   *   sales,                       // non-empty sales, numbered from 1
+   *   products,                    // DBProducts.getDayProducts, sold or counted
+   *   deliveries, expenses,
+   *   credit, cash,                // revenue split by what was left unpaid
+   * }}
+   */
+  function build(date) {
+    const totals = DBSales.filterHistory({ from: date, to: date })[0];
+    if (!totals) return null;
+
+    const sales  = DBSales.getSalesForDay(totals.id)
+      .filter(s => s.kg > 0 || s.qty > 0)
+      .map((s, i) => ({ ...s, no: i + 1, owed: _owed(s) }));
+    const credit = sales.reduce((sum, s) => sum + s.owed, 0);
+
+    return {
+      company:    DBSales.getCompany() || { name: '', phone: '', address: '' },
+      totals,
+      prices:     DBSales.getPriceChanges(totals.id),
+      sales,
+      products:   DBProducts.getDayProducts(totals.id).filter(p => p.units > 0 || p.stock),
+      deliveries: DBDeliveries.getDeliveriesForDay(totals.id),
+      expenses:   DBExpenses.getExpensesForDay(totals.id),
+      credit,
+      cash:       totals.price_sum - credit,
+    };
+  }
+
+  /**
+   * The unit price line — "₦1,000/kg", or each change with its time.
+   */
+  function priceLine(report) {
+    const { prices, totals } = report;
+    if (prices.length <= 1) return Format.perUnit(totals.unit_price);
+    return prices.map((p, i) =>
+      `${Format.perUnit(p.unit_price)}${i ? ' from ' + p.effective_at.slice(11, 16) : ''}`
+    ).join(' → ');
+  }
+
+  /**
+   * Plain-text summary for WhatsApp. *text* shows bold there and reads
+   * fine anywhere else.
+   */
+  function text(report) {
+    const { company, totals: t } = report;
+    const lines = [];
+
+    lines.push(`*${company.name || 'Gnoke Gas'}* — end of day`);
+    lines.push(Format.date(t.date));
+    lines.push('');
+    lines.push(`Opening: ${Format.weight(t.opening_stock)}`);
+    if (t.delivered_kg > 0) lines.push(`Delivered: ${Format.weight(t.delivered_kg)}`);
+    lines.push(`Sold: ${Format.weight(t.kg_sum)} (${report.sales.length} sales)`);
+    lines.push(`Balance: ${Format.weight(t.balance)}`);
+    if (t.closed_at) {
+      lines.push(`Tank reading: ${Format.weight(t.measured_stock)} (variance ${Format.signedWeight(t.variance)})`);
+    }
+    lines.push(`Unit price: ${priceLine(report)}`);
+    if (report.products.length) {
+      lines.push('');
+      report.products.forEach(p => lines.push(
+        `${p.name}: ${Format.number(p.units, 0)} sold`
+        + (p.stock ? `, ${Format.number(p.stock.closing, 0)} left` : '')
+      ));
+    }
+    lines.push('');
+    lines.push(`*Revenue: ${Format.money(t.price_sum)}*`);
+    if (report.credit > 0) {
+      lines.push(`Cash: ${Format.money(report.cash)}`);
+      lines.push(`On credit: ${Format.money(report.credit)}`);
+    }
+    if (t.expense_sum > 0) lines.push(`Expenses: ${Format.money(t.expense_sum)}`);
+    if (t.cost_per_kg != null) lines.push(`Net: ${Format.money(t.net_profit)}`);
+    if (!t.closed_at) {
+      lines.push('');
+      lines.push('_Day not closed yet_');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * wa.me link that opens WhatsApp with the summary filled in; the
+   * sender picks the chat.
+   */
+  function whatsappUrl(report) {
+    return `https://wa.me/?text=${encodeURIComponent(text(report))}`;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    build,
+    priceLine,
+    text,
+    whatsappUrl,
+  };
+
+})();
@@ -0,0 +1,347 @@
+/*
+ * Gnoke Gas — db-attendants.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Data access layer for:
+ *   - Attendant profiles, each with a PIN and a role
+ *   - Who entered which sales, per day
+ *
+ * Roles:
+ *   owner     — everything, including settings, restore, reset and
+ *               deleting days
+ *   attendant — sales and history only
+ *
+ * The lock (lock.js) is on once an owner profile exists; before that
+ * the app opens as it always has. There must always be an active owner
+ * while anyone else can sign in.
+ *
+ * Profiles are kept per station, but the lock covers the whole phone: a
+ * station with no owner while another has one opens only for that
+ * owner's PIN, and then takes on that station's profiles. The station
+ * list notes which stations are locked (DB.setStationLocked).
+ *
+ * PINs are stored as salted PBKDF2 hashes. They keep one attendant out of
+ * another's name and away from the owner's pages — the data itself is
+ * no safer on the device than before.
+ *
+ * Depends on db-core.js
+ */
+
+const DBAttendants = (() => {
+
+  const ROLES          = ['owner', 'attendant'];
+  const PIN_ITERATIONS = 100000;
+  const SALT_BYTES     = 16;
+
+  // Minutes without a tap or key press before the lock comes back
+  const IDLE_MINUTES = 5;
+
+  // Everything but the PIN hash
+  const COLUMNS = 'id, name, role, active, created_at';
+
+  function _checkName(name) {
+    name = (name || '').trim();
+    if (!name) throw new Error('[DBAttendants] Enter the attendant\'s name');
+    return name;
+  }
+
+  function _checkRole(role) {
+    if (!ROLES.includes(role)) throw new Error(`[DBAttendants] Unknown role: ${role}`);
+    return role;
+  }
+
+  function _checkPin(pin) {
+    pin = String(pin ?? '');
+    if (!/^\d{4,8}$/.test(pin)) throw new Error('[DBAttendants] PIN must be 4 to 8 digits');
+    return pin;
+  }
+
+  // ── PIN hashing ────────────────────────────────────────────────────────────
+
+  const _hex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+  const _fromHex = hex => new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+
+  async function _hashPin(pin, saltHex) {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) throw new Error('[DBAttendants] PINs need the app to be opened over https');
+    const base = await subtle.importKey(
+      'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: _fromHex(saltHex), iterations: PIN_ITERATIONS },
+      base,
+      256
+    );
+    return _hex(new Uint8Array(bits));
+  }
+
+  async function _newPin(pin) {
+    const salt = _hex(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+    return { pin_hash: await _hashPin(_checkPin(pin), salt), pin_salt: salt };
+  }
+
+  // ── Profiles ───────────────────────────────────────────────────────────────
+
+  /**
+   * Attendant profiles, owners first then alphabetical. Retired ones only
+   * when asked.
+   */
+  function getAttendants({ includeRetired = false } = {}) {
+    return DB.query(
+      `SELECT ${COLUMNS} FROM attendants
+       ${includeRetired ? '' : 'WHERE active = 1'}
+       ORDER BY role = 'owner' DESC, name COLLATE NOCASE ASC`
+    );
+  }
+
+  function getAttendant(attendantId) {
+    return DB.query(`SELECT ${COLUMNS} FROM attendants WHERE id = ?`, [attendantId])[0] || null;
+  }
+
+  /**
+   * True once an owner profile exists — the app then asks for a PIN.
+   */
+  function isEnabled() {
+    return DB.query(
+      "SELECT 1 FROM attendants WHERE role = 'owner' AND active = 1 LIMIT 1"
+    ).length > 0;
+  }
+
+  // Stop the last active owner being demoted or retired while others
+  // can still sign in — nobody could reach settings any more
+  function _checkOwnerLeft(attendantId) {
+    const others = DB.query(
+      `SELECT
+         SUM(role = 'owner') AS owners,
+         COUNT(*)            AS total
+       FROM attendants WHERE active = 1 AND id != ?`,
+      [attendantId]
+    )[0];
+    if (others.total > 0 && !others.owners)
+      throw new Error('[DBAttendants] Keep at least one owner — make someone else owner first');
+  }
+
+  /**
+   * Add a profile. The first one must be the owner.
+   * @returns {number} the new attendant's id
+   */
+  async function addAttendant({ name, role = 'attendant', pin } = {}) {
+    name = _checkName(name);
+    _checkRole(role);
+    if (role !== 'owner' && !isEnabled())
+      throw new Error('[DBAttendants] Add the owner first');
+    if (DB.query('SELECT 1 FROM attendants WHERE name = ? COLLATE NOCASE', [name]).length)
+      throw new Error(`[DBAttendants] There is already an attendant called ${name}`);
+    const { pin_hash, pin_salt } = await _newPin(pin);
+    const result = await DB.run(
+      'INSERT INTO attendants (name, role, pin_hash, pin_salt) VALUES (?, ?, ?, ?)',
+      [name, role, pin_hash, pin_salt]
+    );
+    await _markStation();
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Change a profile. Pass only the fields you want to change; a blank
+   * pin keeps the old one.
+   */
+  async function updateAttendant(attendantId, { name, role, pin, active }) {
+    const parts  = [];
+    const params = [];
+
+    if (name !== undefined) {
+      name = _checkName(name);
+      if (DB.query('SELECT 1 FROM attendants WHERE name = ? COLLATE NOCASE AND id != ?',
+                   [name, attendantId]).length)
+        throw new Error(`[DBAttendants] There is already an attendant called ${name}`);
+      parts.push('name = ?');
+      params.push(name);
+    }
+    if (role !== undefined) {
+      if (_checkRole(role) !== 'owner') _checkOwnerLeft(attendantId);
+      parts.push('role = ?');
+      params.push(role);
+    }
+    if (pin !== undefined && pin !== '') {
+      const { pin_hash, pin_salt } = await _newPin(pin);
+      parts.push('pin_hash = ?', 'pin_salt = ?');
+      params.push(pin_hash, pin_salt);
+    }
+    if (active !== undefined) {
+      if (!active) _checkOwnerLeft(attendantId);
+      parts.push('active = ?');
+      params.push(active ? 1 : 0);
+    }
+
+    if (!parts.length) return;
+    params.push(attendantId);
+    await DB.run(`UPDATE attendants SET ${parts.join(', ')} WHERE id = ?`, params);
+    await _markStation();
+  }
+
+  /**
+   * Remove a profile. One that entered sales is retired instead, so
+   * those sales keep the name.
+   * @returns {'deleted'|'retired'}
+   */
+  async function removeAttendant(attendantId) {
+    _checkOwnerLeft(attendantId);
+    if (DB.query('SELECT 1 FROM sales WHERE attendant_id = ? LIMIT 1', [attendantId]).length) {
+      await updateAttendant(attendantId, { active: false });
+      return 'retired';
+    }
+    await DB.run('DELETE FROM attendants WHERE id = ?', [attendantId]);
+    await _markStation();
+    return 'deleted';
+  }
+
+  /**
+   * The attendant if the PIN is theirs and they are active, else null.
+   */
+  async function checkPin(attendantId, pin) {
+    const row = DB.query(
+      'SELECT pin_hash, pin_salt FROM attendants WHERE id = ? AND active = 1', [attendantId]
+    )[0];
+    return await _pinMatches(row, pin) ? getAttendant(attendantId) : null;
+  }
+
+  async function _pinMatches(row, pin) {
+    if (!row || !/^\d{4,8}$/.test(String(pin ?? ''))) return false;
+    return await _hashPin(String(pin), row.pin_salt) === row.pin_hash;
+  }
+
+  // ── Across stations ────────────────────────────────────────────────────────
+
+  async function _markStation() {
+    await DB.setStationLocked(DB.station().key, isEnabled());
+  }
+
+  /**
+   * Bring the station list's note of which stations are locked up to
+   * date — this one, and any nobody has looked at yet.
+   */
+  async function markStations() {
+    if (DB.stations().some(s => !s.active && s.locked === undefined)) {
+      const found = await DB.eachStation(s =>
+        !s.active && s.locked === undefined ? { key: s.key, locked: isEnabled() } : null);
+      for (const f of found) if (f) await DB.setStationLocked(f.key, f.locked);
+    }
+    await _markStation();
+  }
+
+  /**
+   * Another station with the lock on, when this one has no owner:
+   * { station, owners, profiles } — its profiles with their PIN hashes,
+   * for adoptProfiles. Null when no other station is locked.
+   */
+  async function lockedElsewhere() {
+    if (!DB.stations().some(s => !s.active && s.locked)) return null;
+    const found = await DB.eachStation(s => !s.active && s.locked && isEnabled()
+      ? { station: s, profiles: DB.query('SELECT * FROM attendants') } : null);
+    const other = found.find(Boolean);
+    if (!other) return null;
+    other.owners = other.profiles.filter(p => p.role === 'owner' && p.active);
+    return other;
+  }
+
+  /**
+   * Let an owner of another station into this one. If the PIN is theirs,
+   * this station takes on that station's profiles — same names, roles
+   * and PINs; ones already here by name are updated, so their sales
+   * keep them.
+   * @param {Object} other — from lockedElsewhere()
+   * @returns {Promise<Object|null>} the owner's profile here, or null
+   */
+  async function adoptProfiles(other, ownerId, pin) {
+    const owner = other.owners.find(p => p.id === ownerId);
+    if (!await _pinMatches(owner, pin)) return null;
+
+    await DB.transaction(tx => {
+      for (const p of other.profiles) {
+        const here = DB.query('SELECT id FROM attendants WHERE name = ? COLLATE NOCASE', [p.name])[0];
+        if (here) {
+          tx('UPDATE attendants SET role = ?, pin_hash = ?, pin_salt = ?, active = ? WHERE id = ?',
+             [p.role, p.pin_hash, p.pin_salt, p.active, here.id]);
+        } else {
+          tx(`INSERT INTO attendants (name, role, pin_hash, pin_salt, active, created_at)
+              VALUES (?, ?, ?, ?, ?, ?)`,
+             [p.name, p.role, p.pin_hash, p.pin_salt, p.active, p.created_at]);
+        }
+      }
+    });
+    await _markStation();
+    return DB.query(
+      `SELECT ${COLUMNS} FROM attendants WHERE name = ? COLLATE NOCASE`, [owner.name]
+    )[0];
+  }
+
+  // ── Idle lock ──────────────────────────────────────────────────────────────
+
+  function getIdleMinutes() {
+    const value = Number(DB.query(
+      "SELECT value FROM settings WHERE key = 'lock_idle_minutes'"
+    )[0]?.value);
+    return value > 0 ? value : IDLE_MINUTES;
+  }
+
+  async function setIdleMinutes(minutes) {
+    const value = Number(minutes);
+    if (!(value > 0)) throw new Error('[DBAttendants] Idle time must be more than 0 minutes');
+    await DB.run(
+      `INSERT INTO settings (key, value) VALUES ('lock_idle_minutes', ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+      [String(value)]
+    );
+  }
+
+  // ── Per-day breakdown ──────────────────────────────────────────────────────
+
+  /**
+   * A day's entered sales split by who entered them, most revenue first.
+   * Sales from before the lock was on, or imported, have attendant_id
+   * null and name ''.
+   * @returns {Array<{ attendant_id, name, sales, kg, units, revenue }>}
+   */
+  function getDayAttendants(dayId) {
+    return DB.query(`
+      SELECT
+        s.attendant_id,
+        COALESCE(a.name, '')       AS name,
+        COUNT(*)                   AS sales,
+        COALESCE(SUM(s.kg),    0)  AS kg,
+        COALESCE(SUM(s.qty),   0)  AS units,
+        COALESCE(SUM(s.price), 0)  AS revenue
+      FROM sales s
+      LEFT JOIN attendants a ON a.id = s.attendant_id
+      WHERE s.day_id = ? AND (s.kg > 0 OR s.qty > 0)
+      GROUP BY s.attendant_id
+      ORDER BY revenue DESC
+    `, [dayId]);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    ROLES,
+    // Profiles
+    getAttendants,
+    getAttendant,
+    isEnabled,
+    addAttendant,
+    updateAttendant,
+    removeAttendant,
+    checkPin,
+    // Across stations
+    markStations,
+    lockedElsewhere,
+    adoptProfiles,
+    // Idle lock
+    getIdleMinutes,
+    setIdleMinutes,
+    // Per day
+    getDayAttendants,
+  };
+
+})();
@@ -0,0 +1,324 @@
+/*
+ * Gnoke Gas — db-backup.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Compare a backup with the live data and merge it in.
+ * The backup is a separate sql.js Database from DB.openBackup — already
+ * validated and upgraded to the current schema.
+ *
+ * Merge rules:
+ *   - A date only in the backup is copied with everything under it
+ *     (sales, receipts printed, deliveries, price log, expenses,
+ *     product counts)
+ *   - A date in both with the same sales is left alone
+ *   - A date in both with different sales is a conflict — kept as it is
+ *     unless the user chooses the backup's version for that date
+ *   - Customers, products and attendants are matched by name; repayments
+ *     are added once. Attendants not on this phone come in retired, so
+ *     their sales keep the name but nobody new can sign in
+ *   - Business profile and settings are never touched
+ *
+ * Depends on db-core.js, db-sales.js
+ */
+
+const DBBackup = (() => {
+
+  // Run a SELECT on a backup database — same shape as DB.query
+  function _query(db, sql, params = []) {
+    const result = db.exec(sql, params);
+    if (!result.length) return [];
+    const { columns, values } = result[0];
+    return values.map(row => {
+      const obj = {};
+      columns.forEach((col, i) => obj[col] = row[i]);
+      return obj;
+    });
+  }
+
+  // Sales are counted through days so rows left behind by a deleted day
+  // are not included
+  const SUMMARY_SQL = `
+    SELECT
+      (SELECT COUNT(*)  FROM days)                          AS days,
+      COUNT(s.id)                                           AS sales,
+      (SELECT MIN(date) FROM days)                          AS first_date,
+      (SELECT MAX(date) FROM days)                          AS last_date,
+      COALESCE(SUM(s.price), 0)                             AS revenue,
+      COALESCE(SUM(s.kg),    0)                             AS kg,
+      (SELECT value FROM settings WHERE key = 'db_version') AS version
+    FROM sales s
+    JOIN days d ON d.id = s.day_id
+    WHERE s.kg > 0 OR s.qty > 0
+  `;
+
+  // One line per day: what its sales add up to, to spot differences.
+  // Products go by name — ids differ between the two files.
+  const DAY_SIGNATURE_SQL = `
+    SELECT
+      d.id,
+      d.date,
+      d.opening_stock,
+      COUNT(s.id)                  AS sales,
+      COALESCE(SUM(s.kg),    0)    AS kg,
+      COALESCE(SUM(s.price), 0)    AS revenue,
+      COALESCE(GROUP_CONCAT(s.kg || ':' || s.qty || ':' || s.product || ':'
+        || s.price || ':' || s.comments, '|'), '') AS detail
+    FROM days d
+    LEFT JOIN (
+      SELECT sales.*, COALESCE(p.name, '') AS product
+      FROM sales LEFT JOIN products p ON p.id = sales.product_id
+      WHERE kg > 0 OR qty > 0
+      ORDER BY seq
+    ) s ON s.day_id = d.id
+    GROUP BY d.id
+    ORDER BY d.date ASC
+  `;
+
+  function _sameDay(a, b) {
+    return a.opening_stock === b.opening_stock && a.detail === b.detail;
+  }
+
+  // ── Preview ────────────────────────────────────────────────────────────────
+
+  /**
+   * Days, sales, date range and revenue — for the backup or, with no
+   * argument, the live data.
+   */
+  function summarize(db = null) {
+    return (db ? _query(db, SUMMARY_SQL) : DB.query(SUMMARY_SQL))[0];
+  }
+
+  /**
+   * Compare a backup with the live data, date by date.
+   * @returns {{
+   *   backup, current,          // summarize() of each
+   *   missing:   string[],      // dates only in the backup
+   *   identical: number,        // dates in both with the same sales
+   *   conflicts: Array<{ date, current: {sales, kg, revenue}, backup: {sales, kg, revenue} }>
+   * }}
+   */
+  function compare(db) {
+    const current = new Map(DB.query(DAY_SIGNATURE_SQL).map(d => [d.date, d]));
+    const result  = {
+      backup: summarize(db), current: summarize(), missing: [], identical: 0, conflicts: [],
+    };
+
+    _query(db, DAY_SIGNATURE_SQL).forEach(b => {
+      const c = current.get(b.date);
+      if (!c)                 result.missing.push(b.date);
+      else if (_sameDay(c, b)) result.identical++;
+      else result.conflicts.push({
+        date:    b.date,
+        current: { sales: c.sales, kg: c.kg, revenue: c.revenue },
+        backup:  { sales: b.sales, kg: b.kg, revenue: b.revenue },
+      });
+    });
+
+    return result;
+  }
+
+  // ── Merge ──────────────────────────────────────────────────────────────────
+
+  // customers: { ids: Map(backup id → live id), created: number }
+  function _customerId(tx, db, backupId, customers) {
+    if (backupId == null) return null;
+    if (!customers.ids.has(backupId)) {
+      const c = _query(db, 'SELECT * FROM customers WHERE id = ?', [backupId])[0];
+      if (!c) { customers.ids.set(backupId, null); return null; }
+      const live = DB.query(
+        'SELECT id FROM customers WHERE name = ? COLLATE NOCASE', [c.name]
+      )[0];
+      if (live) {
+        customers.ids.set(backupId, live.id);
+      } else {
+        customers.ids.set(backupId, tx(
+          'INSERT INTO customers (name, phone, created_at) VALUES (?, ?, ?)',
+          [c.name, c.phone, c.created_at]
+        ).lastInsertRowid);
+        customers.created++;
+      }
+    }
+    return customers.ids.get(backupId);
+  }
+
+  // products: { ids: Map(backup id → live id) } — created as needed,
+  // retired ones included, keeping the backup's price and settings
+  function _productId(tx, db, backupId, products) {
+    if (backupId == null) return null;
+    if (!products.ids.has(backupId)) {
+      const p = _query(db, 'SELECT * FROM products WHERE id = ?', [backupId])[0];
+      if (!p) { products.ids.set(backupId, null); return null; }
+      const live = DB.query(
+        'SELECT id FROM products WHERE name = ? COLLATE NOCASE', [p.name]
+      )[0];
+      products.ids.set(backupId, live ? live.id : tx(
+        `INSERT INTO products (name, price, track_stock, active, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [p.name, p.price, p.track_stock, p.active, p.created_at]
+      ).lastInsertRowid);
+    }
+    return products.ids.get(backupId);
+  }
+
+  // attendants: { ids: Map(backup id → live id) } — matched by name,
+  // created retired with the backup's PIN when missing
+  function _attendantId(tx, db, backupId, attendants) {
+    if (backupId == null) return null;
+    if (!attendants.ids.has(backupId)) {
+      const a = _query(db, 'SELECT * FROM attendants WHERE id = ?', [backupId])[0];
+      if (!a) { attendants.ids.set(backupId, null); return null; }
+      const live = DB.query(
+        'SELECT id FROM attendants WHERE name = ? COLLATE NOCASE', [a.name]
+      )[0];
+      attendants.ids.set(backupId, live ? live.id : tx(
+        `INSERT INTO attendants (name, role, pin_hash, pin_salt, active, created_at)
+         VALUES (?, ?, ?, ?, 0, ?)`,
+        [a.name, a.role, a.pin_hash, a.pin_salt, a.created_at]
+      ).lastInsertRowid);
+    }
+    return attendants.ids.get(backupId);
+  }
+
+  // Copy one backup day and everything under it
+  function _copyDay(tx, db, backupDayId, customers, products, attendants) {
+    const day = _query(db, 'SELECT * FROM days WHERE id = ?', [backupDayId])[0];
+    const dayId = tx(
+      `INSERT INTO days (date, opening_stock, unit_price, created_at,
+                         measured_stock, variance, closed_at, opening_manual)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [day.date, day.opening_stock, day.unit_price, day.created_at,
+       day.measured_stock, day.variance, day.closed_at, day.opening_manual]
+    ).lastInsertRowid;
+
+    const sales   = _query(db, 'SELECT * FROM sales WHERE day_id = ? ORDER BY seq', [backupDayId]);
+    const saleIds = new Map();   // backup sale id → live sale id
+    sales.forEach(s => saleIds.set(s.id, tx(
+      `INSERT INTO sales (day_id, seq, kg, price, comments, saved_at, customer_id,
+                          payment_status, amount_paid, unit_price, entered_at,
+                          product_id, qty, attendant_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [dayId, s.seq, s.kg, s.price, s.comments, s.saved_at,
+       _customerId(tx, db, s.customer_id, customers),
+       s.payment_status, s.amount_paid, s.unit_price, s.entered_at,
+       _productId(tx, db, s.product_id, products), s.qty,
+       _attendantId(tx, db, s.attendant_id, attendants)]
+    ).lastInsertRowid));
+
+    _query(db, 'SELECT * FROM day_products WHERE day_id = ?', [backupDayId]).forEach(dp => {
+      const productId = _productId(tx, db, dp.product_id, products);
+      if (productId == null) return;
+      tx(
+        'INSERT INTO day_products (day_id, product_id, opening, received) VALUES (?, ?, ?, ?)',
+        [dayId, productId, dp.opening, dp.received]
+      );
+    });
+
+    _query(db,
+      `SELECT r.* FROM receipts r JOIN sales s ON s.id = r.sale_id
+       WHERE s.day_id = ? ORDER BY r.id`,
+      [backupDayId]
+    ).forEach(r => tx(
+      'INSERT INTO receipts (sale_id, number, printed_at) VALUES (?, ?, ?)',
+      [saleIds.get(r.sale_id), r.number, r.printed_at]
+    ));
+
+    _query(db, 'SELECT * FROM deliveries WHERE day_id = ?', [backupDayId]).forEach(d => tx(
+      `INSERT INTO deliveries (day_id, supplier, kg, cost, received_at, saved_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [dayId, d.supplier, d.kg, d.cost, d.received_at, d.saved_at]
+    ));
+
+    _query(db, 'SELECT * FROM price_changes WHERE day_id = ?', [backupDayId]).forEach(p => tx(
+      `INSERT INTO price_changes (day_id, unit_price, effective_at, saved_at)
+       VALUES (?, ?, ?, ?)`,
+      [dayId, p.unit_price, p.effective_at, p.saved_at]
+    ));
+
+    _query(db, 'SELECT * FROM expenses WHERE day_id = ?', [backupDayId]).forEach(e => tx(
+      `INSERT INTO expenses (day_id, category, amount, note, saved_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [dayId, e.category, e.amount, e.note, e.saved_at]
+    ));
+
+    return sales.filter(s => s.kg > 0 || s.qty > 0).length;
+  }
+
+  /**
+   * Merge a backup into the live data in one transaction.
+   * @param {Database} db — from DB.openBackup; not closed here
+   * @param {Object<string, 'keep'|'backup'>} resolutions — per conflicting
+   *        date; anything not listed is kept as it is
+   * @returns {Promise<{ added, replaced, kept, identical, sales, customers, repayments }>}
+   */
+  async function merge(db, resolutions = {}) {
+    const current = new Map(DB.query(DAY_SIGNATURE_SQL).map(d => [d.date, d]));
+    const result  = {
+      added: 0, replaced: 0, kept: 0, identical: 0, sales: 0, customers: 0, repayments: 0,
+    };
+
+    let firstChanged = null;
+    const changed = date => { if (!firstChanged || date < firstChanged) firstChanged = date; };
+
+    await DB.snapshot('Before merging a backup');
+    await DB.transaction(async tx => {
+      const customers  = { ids: new Map(), created: 0 };
+      const products   = { ids: new Map() };
+      const attendants = { ids: new Map() };
+
+      _query(db, DAY_SIGNATURE_SQL).forEach(b => {
+        const c = current.get(b.date);
+        if (!c) {
+          result.sales += _copyDay(tx, db, b.id, customers, products, attendants);
+          result.added++;
+          changed(b.date);
+        } else if (_sameDay(c, b)) {
+          result.identical++;
+        } else if (resolutions[b.date] === 'backup') {
+          // CASCADE clears the live day's sales, receipts, deliveries, price log,
+          // expenses, product counts
+          tx('DELETE FROM days WHERE id = ?', [c.id]);
+          result.sales += _copyDay(tx, db, b.id, customers, products, attendants);
+          result.replaced++;
+          changed(b.date);
+        } else {
+          result.kept++;
+        }
+      });
+
+      // Repayments belong to customers, not days — add any not already here
+      _query(db, 'SELECT * FROM repayments ORDER BY id').forEach(r => {
+        const customerId = _customerId(tx, db, r.customer_id, customers);
+        if (customerId == null) return;
+        const exists = DB.query(
+          `SELECT 1 FROM repayments
+           WHERE customer_id = ? AND amount = ? AND paid_on = ? AND note = ?`,
+          [customerId, r.amount, r.paid_on, r.note]
+        ).length;
+        if (exists) return;
+        tx(
+          `INSERT INTO repayments (customer_id, amount, paid_on, note, saved_at)
+           VALUES (?, ?, ?, ?, ?)`,
+          [customerId, r.amount, r.paid_on, r.note, r.saved_at]
+        );
+        result.repayments++;
+      });
+
+      result.customers = customers.created;
+    });
+
+    // Days after the ones brought in may open with different stock now
+    if (firstChanged) await DBSales.carryForward(DBSales.getDay(firstChanged).id);
+
+    return result;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    summarize,
+    compare,
+    merge,
+  };
+
+})();
@@ -4,8 +4,19 @@
  * Licensed under GNU GPL v3
  *
  * Core database engine.
- * Loads gas.db via sql.js, persists to IndexedDB.
+ * Loads gas.db via sql.js, persists to IndexedDB — in the background,
+ * a few writes at a time (see Persistence).
+ * Upgrades saved databases in place using db-migrations.js.
  * All other db-*.js modules depend on this.
+ *
+ * Each station (branch) is a database of its own, saved under its own
+ * IndexedDB key. One of them is active at a time; every query and write
+ * goes to it. The first station keeps the original 'gas.db' key, so data
+ * from before stations existed is simply the first station.
+ *
+ * Every open tab holds its own copy in memory. Each save bumps the
+ * station's revision, and a tab only saves over the revision it loaded —
+ * see Other tabs.
  */
 
 const DB = (() => {
@@ -13,49 +24,131 @@ const DB = (() => {
   const IDB_NAME    = 'gnoke_gas_store';
   const IDB_VERSION = 1;
   const IDB_STORE   = 'db_file';
-  const IDB_KEY     = 'gas.db';
+  const DEFAULT_KEY = 'gas.db';
   const DB_URL      = 'data/gas.db';
 
-  // Required tables — if any are missing the cached DB is discarded
-  // and the seed file is reloaded. Add new table names here when schema evolves.
-  const REQUIRED_TABLES = ['company', 'days', 'sales', 'settings'];
+  // Station list: { active: key, list: [{ key, name, locked }] } in switcher
+  // order. locked — the station has an owner, so the PIN lock is on
+  // (kept by db-attendants.js); missing until someone has looked
+  const STATIONS_KEY = 'stations';
+
+  // Settings key holding the schema version (integer, stored as text)
+  const VERSION_KEY = 'db_version';
 
   let _db    = null;   // sql.js Database instance
   let _SQL   = null;   // sql.js constructor
-  let _dirty = false;  // true after any write, cleared after persist
+  let _idb   = null;   // open IndexedDB connection, shared by every call
+  let _conn  = null;   // the same connection once open, for pagehide
+
+  let _key      = DEFAULT_KEY;  // IndexedDB key of the active station
+  let _stations = null;         // station list, loaded by init()
+  let _readOnly = false;        // set while eachStation() looks at another station
+  let _rev      = 0;            // revision of the station's file this tab has
+  let _stale    = false;        // another tab saved over data this tab has unsaved
+  let _isOwner  = () => true;   // see setOwnerCheck
 
   // ── IndexedDB helpers ──────────────────────────────────────────────────────
 
+  // Kept open so a save started as the page closes goes out at once
   function _openIDB() {
-    return new Promise((resolve, reject) => {
+    if (!_idb) _idb = new Promise((resolve, reject) => {
       const req = indexedDB.open(IDB_NAME, IDB_VERSION);
       req.onupgradeneeded = e => e.target.result.createObjectStore(IDB_STORE);
-      req.onsuccess = e => resolve(e.target.result);
-      req.onerror   = e => reject(e.target.error);
+      req.onsuccess = e => {
+        const idb = e.target.result;
+        idb.onclose = () => { _idb = _conn = null; };
+        _conn = idb;
+        resolve(idb);
+      };
+      req.onerror = e => {
+        _idb = null;
+        reject(e.target.error);
+      };
     });
+    return _idb;
   }
 
-  async function _loadFromIDB() {
+  async function _loadFromIDB(key = _key) {
     const idb = await _openIDB();
     return new Promise((resolve, reject) => {
       const req = idb.transaction(IDB_STORE, 'readonly')
-                     .objectStore(IDB_STORE).get(IDB_KEY);
+                     .objectStore(IDB_STORE).get(key);
       req.onsuccess = e => resolve(e.target.result || null);
       req.onerror   = e => reject(e.target.error);
     });
   }
 
-  async function _saveToIDB(uint8) {
+  async function _saveToIDB(uint8, key = _key) {
+    const idb = await _openIDB();
+    return new Promise((resolve, reject) => {
+      const req = idb.transaction(IDB_STORE, 'readwrite')
+                     .objectStore(IDB_STORE).put(uint8, key);
+      req.onsuccess = () => resolve();
+      req.onerror   = e => reject(e.target.error);
+    });
+  }
+
+  /**
+   * Read several keys in one transaction, so they match each other.
+   * @returns {Promise<Array>} the values, null where missing
+   */
+  async function _readIDB(keys) {
+    const idb = await _openIDB();
+    return new Promise((resolve, reject) => {
+      const tx   = idb.transaction(IDB_STORE, 'readonly');
+      const reqs = keys.map(key => tx.objectStore(IDB_STORE).get(key));
+      tx.oncomplete = () => resolve(reqs.map(r => r.result ?? null));
+      tx.onerror    = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Read keys and write back what fn(values) returns — { key: value },
+   * or null to leave them — in one transaction, so no other tab can save
+   * in between. fn must be synchronous; if it throws nothing is written.
+   * @returns {Promise<Object|null>} what fn returned, once stored
+   */
+  async function _updateIDB(keys, fn) {
+    const idb = await _openIDB();
+    return new Promise((resolve, reject) => {
+      const tx    = idb.transaction(IDB_STORE, 'readwrite');
+      const store = tx.objectStore(IDB_STORE);
+      const reqs  = keys.map(key => store.get(key));
+      let result  = null;
+      // Requests finish in order — the last one means all are in
+      reqs[reqs.length - 1].onsuccess = () => {
+        try {
+          result = fn(reqs.map(r => r.result ?? null));
+          Object.entries(result || {}).forEach(([key, value]) => store.put(value, key));
+        } catch (err) {
+          reject(err);
+          tx.abort();
+        }
+      };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror    = () => reject(tx.error);
+    });
+  }
+
+  async function _deleteFromIDB(key) {
     const idb = await _openIDB();
     return new Promise((resolve, reject) => {
       const req = idb.transaction(IDB_STORE, 'readwrite')
-                     .objectStore(IDB_STORE).put(uint8, IDB_KEY);
+                     .objectStore(IDB_STORE).delete(key);
       req.onsuccess = () => resolve();
       req.onerror   = e => reject(e.target.error);
     });
   }
 
-  // ── Schema validation ──────────────────────────────────────────────────────
+  // sql.js reopens the connection inside export(), which silently turns
+  // foreign keys (and with them ON DELETE CASCADE) back off
+  function _export() {
+    const data = _db.export();
+    _db.run('PRAGMA foreign_keys = ON;');
+    return data;
+  }
+
+  // ── Schema migrations ──────────────────────────────────────────────────────
 
   function _getExistingTables(db) {
     const rows = db.exec("SELECT name FROM sqlite_master WHERE type='table'");
@@ -63,45 +156,220 @@ const DB = (() => {
     return rows[0].values.map(r => r[0]);
   }
 
-  function _isSchemaCurrent(db) {
-    const existing = _getExistingTables(db);
-    return REQUIRED_TABLES.every(t => existing.includes(t));
+  /**
+   * Schema version of a database — 0 when it predates db_version.
+   */
+  function _getVersion(db) {
+    if (!_getExistingTables(db).includes('settings')) return 0;
+    const rows = db.exec('SELECT value FROM settings WHERE key = ?', [VERSION_KEY]);
+    if (!rows.length) return 0;
+    return parseInt(rows[0].values[0][0], 10) || 0;
+  }
+
+  /**
+   * Apply every pending step in order, one transaction per step.
+   * A failing step is rolled back and the error rethrown — the caller
+   * must not persist, so the stored copy stays at the last good version.
+   * @returns {{ from: number, to: number }}
+   */
+  function _migrate(db) {
+    const from = _getVersion(db);
+    let   to   = from;
+
+    if (from > DBMigrations.latest) {
+      console.warn(`[DB] Schema v${from} is newer than this app (v${DBMigrations.latest})`);
+      return { from, to };
+    }
+
+    for (const step of DBMigrations.steps) {
+      if (step.version <= to) continue;
+      try {
+        db.run('BEGIN;');
+        step.up(db);
+        db.run(
+          `INSERT INTO settings (key, value) VALUES (?, ?)
+           ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+          [VERSION_KEY, String(step.version)]
+        );
+        db.run('COMMIT;');
+      } catch (err) {
+        db.run('ROLLBACK;');
+        throw new Error(`Upgrade to v${step.version} failed: ${err.message}`);
+      }
+      to = step.version;
+      console.log(`[DB] Migrated to v${to} — ${step.description}`);
+    }
+
+    return { from, to };
+  }
+
+  // ── Snapshots ──────────────────────────────────────────────────────────────
+  // Whole-file copies kept in IndexedDB next to the live DB, each under its
+  // own key. An index (array of metadata) lists them so the help page can
+  // show them without loading every file. Each station has its own.
+  //
+  // kind    — daily:   first open of each day
+  //           before:  ahead of a destructive operation
+  //           upgrade: the untouched file before a schema upgrade
+  //           manual:  taken from the help page
+
+  const SNAP_KEEP = { daily: 7, before: 10, upgrade: 3, manual: 5 };
+
+  function _snapIndex(key = _key) {
+    return `${key}.snapshots`;
+  }
+
+  // 'YYYY-MM-DD HH:MM:SS' local, like the datetime('now','localtime') columns
+  function _stamp(d = new Date()) {
+    const p = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} `
+         + `${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+  }
+
+  function _counts(db) {
+    try {
+      // Files from before product sales (v11) have no qty column yet
+      const entered = db.exec("SELECT 1 FROM pragma_table_info('sales') WHERE name = 'qty'").length
+        ? 'kg > 0 OR qty > 0' : 'kg > 0';
+      const [days, sales] = db.exec(
+        `SELECT (SELECT COUNT(*) FROM days), (SELECT COUNT(*) FROM sales WHERE ${entered})`
+      )[0].values[0];
+      return { days, sales };
+    } catch (err) {
+      return { days: null, sales: null };
+    }
+  }
+
+  async function _addSnapshot(uint8, kind, reason, counts, station = _key) {
+    const index = (await _loadFromIDB(_snapIndex(station))) || [];
+    let ms = Date.now();
+    while (index.some(s => s.key === `${station}.snap.${ms}`)) ms++;
+    const key = `${station}.snap.${ms}`;
+
+    await _saveToIDB(uint8, key);
+
+    // Another tab may have added one meanwhile — update the index as stored
+    const dropped = [];
+    await _updateIDB([_snapIndex(station)], ([stored]) => {
+      const list = [
+        { key, kind, reason, created_at: _stamp(), size: uint8.length, ...counts },
+        ...(stored || []),
+      ];
+      // Newest first — drop the oldest of each kind past its limit
+      const seen = {};
+      const keep = list.filter(s => (seen[s.kind] = (seen[s.kind] || 0) + 1) <= (SNAP_KEEP[s.kind] ?? 5));
+      dropped.push(...list.filter(s => !keep.includes(s)));
+      return { [_snapIndex(station)]: keep };
+    });
+    for (const s of dropped) await _deleteFromIDB(s.key);
+  }
+
+  async function _dailySnapshot() {
+    const index = (await _loadFromIDB(_snapIndex())) || [];
+    const today = _stamp().slice(0, 10);
+    if (index.some(s => s.kind === 'daily' && s.created_at.startsWith(today))) return;
+    await _addSnapshot(_export(), 'daily', 'Start of day', _counts(_db));
+  }
+
+  /**
+   * Save a snapshot of the live database.
+   * @param {string} reason — shown in the list, e.g. 'Before deleting 2026-02-25'
+   * @param {'before'|'manual'} kind
+   */
+  async function snapshot(reason, kind = 'before') {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    await _addSnapshot(_export(), kind, reason, _counts(_db));
+  }
+
+  /**
+   * Snapshot metadata, newest first:
+   * [{ key, kind, reason, created_at, size, days, sales }]
+   */
+  async function listSnapshots() {
+    return (await _loadFromIDB(_snapIndex())) || [];
+  }
+
+  /**
+   * Make a snapshot the live database. The current data is snapshotted
+   * first, so a rollback can itself be rolled back.
+   */
+  async function rollback(key) {
+    _checkOwner();
+    const uint8 = await _loadFromIDB(key);
+    if (!uint8) throw new Error('That snapshot is no longer stored');
+    const db = openBackup(uint8);
+    await replaceWith(db, { reason: 'Before rollback' });
+    console.log(`[DB] Rolled back to ${key}`);
+  }
+
+  async function deleteSnapshot(key) {
+    _checkOwner();
+    await _updateIDB([_snapIndex()], ([index]) =>
+      ({ [_snapIndex()]: (index || []).filter(s => s.key !== key) }));
+    await _deleteFromIDB(key);
   }
 
   // ── Initialisation ─────────────────────────────────────────────────────────
 
+  async function _fetchSeed() {
+    const res = await fetch(DB_URL);
+    if (!res.ok) throw new Error(`Seed DB fetch failed: ${res.status}`);
+    return new _SQL.Database(new Uint8Array(await res.arrayBuffer()));
+  }
+
+  function _open(uint8) {
+    try {
+      const db = new _SQL.Database(uint8);
+      db.exec('SELECT COUNT(*) FROM sqlite_master');
+      return db;
+    } catch (err) {
+      return null;
+    }
+  }
+
   async function init(sqlJsConfig = {}) {
     if (_db) return _db;
 
     _SQL = await initSqlJs(sqlJsConfig);
+    await _loadStations();
 
-    const saved = await _loadFromIDB();
+    const [saved, rev] = await _readIDB([_key, _revKey()]);
+    let   db = saved ? _open(saved) : null;
+    _rev = rev || 0;
+
+    if (saved && !db) {
+      // Unreadable file — keep the raw bytes before starting over
+      await _saveToIDB(saved, `${_key}.unreadable`);
+      console.warn('[DB] Saved DB unreadable — kept a copy, loading seed');
+    }
 
-    if (saved) {
-      const candidate = new _SQL.Database(saved);
-      if (_isSchemaCurrent(candidate)) {
-        _db = candidate;
-        _db.run('PRAGMA foreign_keys = ON;');
-        console.log('[DB] Loaded from IndexedDB — schema current');
+    if (db) {
+      const version = _getVersion(db);
+      const pending = version < DBMigrations.latest;
+      if (pending) {
+        // Safety snapshot of the untouched file before upgrading
+        await _addSnapshot(saved, 'upgrade', `Before upgrade from v${version}`, _counts(db));
+      }
+      const { from, to } = _migrate(db);
+      _db = db;
+      _db.run('PRAGMA foreign_keys = ON;');
+      if (pending) {
+        _rev = await _storeFile(_export());
+        console.log(`[DB] Loaded from IndexedDB — upgraded v${from} → v${to}`);
       } else {
-        candidate.close();
-        console.warn('[DB] Schema outdated — reloading seed');
-        const res = await fetch(DB_URL);
-        if (!res.ok) throw new Error(`Seed DB fetch failed: ${res.status}`);
-        _db = new _SQL.Database(new Uint8Array(await res.arrayBuffer()));
-        _db.run('PRAGMA foreign_keys = ON;');
-        await _saveToIDB(_db.export());
-        console.log('[DB] Reloaded from seed');
+        console.log(`[DB] Loaded from IndexedDB — schema v${to}`);
       }
+      await _dailySnapshot();
     } else {
-      const res = await fetch(DB_URL);
-      if (!res.ok) throw new Error(`Seed DB fetch failed: ${res.status}`);
-      _db = new _SQL.Database(new Uint8Array(await res.arrayBuffer()));
+      db = await _fetchSeed();
+      _migrate(db);
+      _db = db;
       _db.run('PRAGMA foreign_keys = ON;');
-      await _saveToIDB(_db.export());
+      _rev = await _storeFile(_export());
       console.log('[DB] First run — seed DB loaded');
     }
 
+    _watchPage();
     return _db;
   }
 
@@ -128,16 +396,18 @@ const DB = (() => {
   // ── Run (INSERT / UPDATE / DELETE) ─────────────────────────────────────────
 
   /**
-   * Run a write statement. Auto-persists to IndexedDB.
+   * Run a write statement. It is saved to IndexedDB shortly after,
+   * together with any other writes made meanwhile — see persist().
    * @returns {{ changes: number, lastInsertRowid: number }}
    */
   async function run(sql, params = []) {
     if (!_db) throw new Error('[DB] Not initialised.');
+    if (_readOnly) throw new Error('[DB] Other stations are read-only here.');
+    if (_stale) throw new Error(STALE);
     _db.run(sql, params);
-    _dirty = true;
     const lastId  = _db.exec('SELECT last_insert_rowid()')[0]?.values[0][0];
     const changes = _db.getRowsModified();
-    await persist();
+    _changed();
     return { changes, lastInsertRowid: lastId };
   }
 
@@ -150,19 +420,20 @@ const DB = (() => {
    */
   async function transaction(fn) {
     if (!_db) throw new Error('[DB] Not initialised.');
+    if (_readOnly) throw new Error('[DB] Other stations are read-only here.');
+    if (_stale) throw new Error(STALE);
     try {
       _db.run('BEGIN;');
       await fn(_runInTx);
       _db.run('COMMIT;');
-      _dirty = true;
-      await persist();
     } catch (err) {
       _db.run('ROLLBACK;');
       throw err;
     }
+    _changed();
   }
 
-  // Used inside transaction() — does not auto-persist
+  // Used inside transaction() — saved with the rest of it
   function _runInTx(sql, params = []) {
     _db.run(sql, params);
     return {
@@ -172,43 +443,668 @@ const DB = (() => {
   }
 
   // ── Persistence ────────────────────────────────────────────────────────────
+  // Every save writes the whole file, which takes a while once there is a
+  // year of history — too long to do on each keystroke on a cheap phone.
+  // Writes change the in-memory database at once and are saved together:
+  // when they pause and the browser is idle, at least every FLUSH_EVERY
+  // while they keep coming, and straight away when the page is hidden or
+  // closed.
+
+  const FLUSH_DELAY = 1000;   // pause after the last write before saving
+  const FLUSH_EVERY = 5000;   // longest a write waits while more keep coming
+
+  let _changes      = 0;      // bumped by every write
+  let _saved        = 0;      // _changes as of the last save that finished
+  let _saving       = null;   // the save in progress
+  let _saveError    = null;   // why the last save failed, until one works
+  let _timer        = null;
+  let _waitingSince = 0;      // when the oldest unsaved write was made
+  let _lastState    = 'saved';
+  const _stateListeners = [];
+
+  const STALE = '[DB] Changed in another tab — reload to carry on';
+
+  function _revKey(key = _key) {
+    return `${key}.rev`;
+  }
+
+  /**
+   * Save a station's file as its next revision, whatever is stored.
+   * For files this tab has not been editing — new, restored, upgraded.
+   * @returns {Promise<number>} the new revision
+   */
+  async function _storeFile(data, key = _key) {
+    const stored = await _updateIDB([_revKey(key)], ([rev]) =>
+      ({ [key]: data, [_revKey(key)]: (rev || 0) + 1 }));
+    const rev = stored[_revKey(key)];
+    _announce({ type: 'saved', key, rev });
+    return rev;
+  }
+
+  // Save the open station's file — unless another tab has saved it since
+  // this one loaded it, which would throw its sales away
+  async function _storeCurrent(data) {
+    const stored = await _updateIDB([_revKey()], ([rev]) =>
+      (rev || 0) === _rev ? { [_key]: data, [_revKey()]: _rev + 1 } : null);
+    if (!stored) {
+      _stale = true;
+      throw new Error(STALE);
+    }
+    _rev = stored[_revKey()];
+    _announce({ type: 'saved', key: _key, rev: _rev });
+  }
+
+  // _storeCurrent for a page that is closing. Its put only goes out from
+  // the revision read's callback, which may never run by then — here the
+  // read and the put are issued together, in this task, and the read
+  // rolls the put back if another tab has saved since.
+  function _storeBeforeClose(data) {
+    if (!_conn) return;
+    // A save in flight lands first and takes the next revision
+    const rev   = _saving ? _rev + 1 : _rev;
+    const upTo  = _changes;
+    const tx    = _conn.transaction(IDB_STORE, 'readwrite');
+    const store = tx.objectStore(IDB_STORE);
+    const check = store.get(_revKey());
+    check.onsuccess = () => {
+      if ((check.result || 0) !== rev) tx.abort();
+    };
+    store.put(data, _key);
+    store.put(rev + 1, _revKey());
+    // Still here when the page was only put in the back/forward cache
+    tx.oncomplete = () => {
+      _rev   = rev + 1;
+      _saved = upTo;
+      _announce({ type: 'saved', key: _key, rev: _rev });
+      _notify();
+    };
+  }
+
+  function _changed() {
+    _changes++;
+    if (!_waitingSince) _waitingSince = Date.now();
+    // A save in progress schedules the next one when it finishes
+    if (!_saving && !_stale) _schedule(Math.min(FLUSH_DELAY, _waitingSince + FLUSH_EVERY - Date.now()));
+    _notify();
+  }
 
+  function _schedule(wait) {
+    clearTimeout(_timer);
+    _timer = setTimeout(() => {
+      _timer = null;
+      const flush = () => persist().catch(err => console.warn(`[DB] Save failed: ${err.message}`));
+      if (typeof requestIdleCallback === 'function') requestIdleCallback(flush, { timeout: FLUSH_DELAY });
+      else flush();
+    }, Math.max(wait, 0));
+  }
+
+  function _notify() {
+    const state = saveState();
+    if (state === _lastState) return;
+    _lastState = state;
+    _stateListeners.forEach(fn => fn(state));
+  }
+
+  /**
+   * Save unsaved writes to IndexedDB now. Resolves once they are stored;
+   * rejects if the save fails — it is tried again later.
+   */
   async function persist() {
-    if (!_db || !_dirty) return;
-    await _saveToIDB(_db.export());
-    _dirty = false;
+    while (_saving) await _saving.catch(() => {});
+    if (_stale) throw new Error(STALE);
+    if (!_db || _saved === _changes) return;
+
+    clearTimeout(_timer);
+    _timer = null;
+    const upTo = _changes;
+    _saving = _storeCurrent(_export());
+    _notify();
+    try {
+      await _saving;
+      _saved     = upTo;
+      _saveError = null;
+    } catch (err) {
+      _saveError = err;
+      throw err;
+    } finally {
+      _saving       = null;
+      _waitingSince = _saved === _changes ? 0 : Date.now();
+      if (_waitingSince && !_stale) _schedule(_saveError ? FLUSH_EVERY : FLUSH_DELAY);
+      _notify();
+    }
+  }
+
+  /**
+   * 'saved' once every write is stored in IndexedDB, 'saving' while some
+   * are only in memory, 'error' while saving fails, 'stale' once another
+   * tab has saved over what this one has not — nothing more is saved
+   * here until the page is reloaded.
+   */
+  function saveState() {
+    if (_stale) return 'stale';
+    if (_saveError) return 'error';
+    return _saving || _saved !== _changes ? 'saving' : 'saved';
+  }
+
+  /**
+   * Call fn(state) each time saveState() changes.
+   */
+  function onSaveState(fn) {
+    _stateListeners.push(fn);
+  }
+
+  function _watchPage() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') persist().catch(() => {});
+    });
+    // Last chance: the put has to be issued before the page goes, so it
+    // can't wait behind a save in progress — IndexedDB keeps the order
+    window.addEventListener('pagehide', () => {
+      if (_db && !_stale && _saved !== _changes) _storeBeforeClose(_export());
+    });
+    if (_channel) _channel.onmessage = e => _heard(e.data);
+  }
+
+  // ── Other tabs ─────────────────────────────────────────────────────────────
+  // Tabs tell each other when they save. A tab with nothing unsaved loads
+  // the new revision straight away; one with unsaved writes can't save
+  // them without erasing the other tab's, so it goes stale instead. Pages
+  // hear about both through onChange() and saveState().
+
+  const _channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(IDB_NAME) : null;
+  const _changeListeners = [];
+
+  function _announce(message) {
+    if (_channel) _channel.postMessage(message);
+  }
+
+  function _heard(message) {
+    if (!_db) return;
+    if (message.type === 'stations') {
+      _reloadStations().catch(err => console.warn(`[DB] Station list not reloaded: ${err.message}`));
+    } else if (message.type === 'saved' && message.key === _key && message.rev > _rev) {
+      _reload().catch(err => console.warn(`[DB] Not reloaded: ${err.message}`));
+    }
+  }
+
+  function _goStale() {
+    _stale = true;
+    clearTimeout(_timer);
+    _timer = null;
+    _notify();
+  }
+
+  async function _reload() {
+    if (_stale) return;
+    if (_saving || _saved !== _changes) return _goStale();
+
+    const [saved, rev] = await _readIDB([_key, _revKey()]);
+    const db = saved && _open(saved);
+    // Written to while this was loading — too late to take the new copy
+    if (_saving || _saved !== _changes) {
+      if (db) db.close();
+      return _goStale();
+    }
+    if (!db || (rev || 0) <= _rev) {
+      if (db) db.close();
+      return;
+    }
+
+    _db.close();
+    _db = db;
+    _db.run('PRAGMA foreign_keys = ON;');
+    _rev = rev;
+    _changeListeners.forEach(fn => fn('data'));
+  }
+
+  async function _reloadStations() {
+    const stored = await _loadFromIDB(STATIONS_KEY);
+    if (stored) _stations = stored;
+    // Removed in another tab — anything saved here would bring it back
+    if (!_stations.list.some(s => s.key === _key)) _goStale();
+    _changeListeners.forEach(fn => fn('stations'));
+  }
+
+  /**
+   * Call fn(what) after another tab changed something this page shows:
+   *   'data'     — this station's data; queries already see the new copy
+   *   'stations' — the station list
+   */
+  function onChange(fn) {
+    _changeListeners.push(fn);
   }
 
   // ── Export / Restore ───────────────────────────────────────────────────────
 
-  function exportDB(filename = 'gnoke-gas-backup.db') {
+  /**
+   * Download the database. With a passphrase the file is encrypted
+   * (see backup-crypto.js, which must be loaded).
+   */
+  async function exportDB(filename = 'gnoke-gas-backup.db', { passphrase = null } = {}) {
     if (!_db) throw new Error('[DB] Not initialised.');
-    const blob = new Blob([_db.export()], { type: 'application/octet-stream' });
+    await _download(_export(), filename, passphrase);
+  }
+
+  async function _download(data, filename, passphrase) {
+    if (passphrase) data = await BackupCrypto.encrypt(data, passphrase);
+    const blob = new Blob([data], { type: 'application/octet-stream' });
     const url  = URL.createObjectURL(blob);
     const a    = Object.assign(document.createElement('a'), { href: url, download: filename });
     a.click();
     URL.revokeObjectURL(url);
   }
 
-  async function restoreDB(file) {
-    const uint8 = new Uint8Array(await file.arrayBuffer());
+  // Tables and columns a file needs to count as a Gnoke Gas database.
+  // Everything added later is created by the migrations.
+  const REQUIRED_SCHEMA = {
+    company:  ['id', 'name', 'phone', 'address'],
+    settings: ['key', 'value'],
+    days:     ['id', 'date', 'opening_stock', 'unit_price'],
+    sales:    ['id', 'day_id', 'seq', 'kg', 'price', 'comments'],
+  };
+
+  const SQLITE_HEADER = 'SQLite format 3\0';
+
+  function _columns(db, table) {
+    const rows = db.exec(`PRAGMA table_info(${table})`);
+    return rows.length ? rows[0].values.map(r => r[1]) : [];
+  }
+
+  /**
+   * Open a backup file's bytes as a separate database, check it really is
+   * a Gnoke Gas database and upgrade it to the current schema.
+   * Nothing is loaded or saved — the caller decides what to do with it
+   * and must close() it.
+   *
+   * @param {Uint8Array} uint8
+   * @returns {Database} sql.js Database
+   * @throws with a message fit to show the user
+   */
+  function openBackup(uint8) {
+    if (!_SQL) throw new Error('[DB] Not initialised.');
+
+    const header = String.fromCharCode(...uint8.subarray(0, SQLITE_HEADER.length));
+    if (header !== SQLITE_HEADER) throw new Error('This file is not a database backup');
+
+    const db = _open(uint8);
+    if (!db) throw new Error('This backup file is damaged');
+
+    try {
+      const tables = _getExistingTables(db);
+      for (const [table, cols] of Object.entries(REQUIRED_SCHEMA)) {
+        const have = tables.includes(table) ? _columns(db, table) : [];
+        const missing = cols.filter(c => !have.includes(c));
+        if (missing.length)
+          throw new Error(`Not a Gnoke Gas backup — ${table} is missing ${missing.join(', ')}`);
+      }
+
+      const version = _getVersion(db);
+      if (version > DBMigrations.latest)
+        throw new Error(`This backup is from a newer version of the app (v${version}) — update first`);
+
+      _migrate(db);
+      db.run('PRAGMA foreign_keys = ON;');
+      return db;
+    } catch (err) {
+      db.close();
+      throw err;
+    }
+  }
+
+  /**
+   * Make an opened backup the live database and save it.
+   * Takes ownership of db. The data it replaces is snapshotted first.
+   */
+  async function replaceWith(db, { reason = 'Before restore' } = {}) {
+    _checkOwner();
+    if (_db) await snapshot(reason);
+    while (_saving) await _saving.catch(() => {});
     if (_db) _db.close();
-    _db = new _SQL.Database(uint8);
+    _db = db;
     _db.run('PRAGMA foreign_keys = ON;');
-    await _saveToIDB(_db.export());
+    // A restore wins over whatever any tab saved before it
+    _rev       = await _storeFile(_export());
+    _saved     = _changes;
+    _stale     = false;
+    _saveError = null;
+    _notify();
+  }
+
+  /**
+   * Read a backup file — plain or encrypted — and openBackup it.
+   * For an encrypted file getPassphrase() is awaited; returning null
+   * cancels.
+   *
+   * A backup of all stations (exportAll) gives an array instead, one
+   * opened database per station: [{ key, name, db }]. See
+   * restoreStations.
+   *
+   * @param {File} file
+   * @param {{ getPassphrase?: Function }} opts
+   * @returns {Promise<Database|Array<{ key, name, db }>>}
+   */
+  async function loadBackup(file, { getPassphrase = null } = {}) {
+    let uint8 = new Uint8Array(await file.arrayBuffer());
+    if (typeof BackupCrypto !== 'undefined' && BackupCrypto.isEncrypted(uint8)) {
+      const passphrase = getPassphrase ? await getPassphrase() : null;
+      if (passphrase == null) throw new Error('This backup is encrypted — a passphrase is needed');
+      uint8 = await BackupCrypto.decrypt(uint8, passphrase);
+    }
+    return _openBundle(uint8) || openBackup(uint8);
+  }
+
+  /**
+   * Replace all data with a backup file, after validating it.
+   * Encrypted backups need opts.getPassphrase — see loadBackup.
+   */
+  async function restoreDB(file, opts = {}) {
+    const db = await loadBackup(file, opts);
+    await replaceWith(db);
     console.log('[DB] Restored from file');
   }
 
-  // ── Utilities ──────────────────────────────────────────────────────────────
+  // ── Owner only ─────────────────────────────────────────────────────────────
+  // Managing stations and replacing data are for the owner. Who that is
+  // is up to lock.js; until it says otherwise, everyone is.
+
+  function _checkOwner() {
+    if (!_isOwner()) throw new Error('Only the owner can do that');
+  }
+
+  /**
+   * fn() — true while whoever uses the page may add, rename and remove
+   * stations, restore, roll back and delete snapshots.
+   */
+  function setOwnerCheck(fn) {
+    _isOwner = fn;
+  }
+
+  // ── Stations ───────────────────────────────────────────────────────────────
+
+  async function _loadStations() {
+    _stations = (await _loadFromIDB(STATIONS_KEY))
+      || { active: DEFAULT_KEY, list: [{ key: DEFAULT_KEY, name: 'Main station' }] };
+    if (!_stations.list.some(s => s.key === _stations.active))
+      _stations.active = _stations.list[0].key;
+    _key = _stations.active;
+  }
+
+  // Change the station list as stored — another tab may have changed it
+  // since this one loaded it. fn edits _stations and may throw to cancel.
+  async function _editStations(fn) {
+    await _updateIDB([STATIONS_KEY], ([stored]) => {
+      if (stored) _stations = stored;
+      fn();
+      return { [STATIONS_KEY]: _stations };
+    });
+    _announce({ type: 'stations' });
+  }
+
+  function _checkStationName(name, key = null) {
+    name = (name || '').trim();
+    if (!name) throw new Error('Enter the station name');
+    const taken = _stations.list.some(s =>
+      s.key !== key && s.name.toLowerCase() === name.toLowerCase());
+    if (taken) throw new Error(`There is already a station called ${name}`);
+    return name;
+  }
+
+  // A name not used by any other station — "Name", then "Name (2)" ...
+  function _freeName(name, key) {
+    let n = 1, candidate = name;
+    while (_stations.list.some(s => s.key !== key && s.name.toLowerCase() === candidate.toLowerCase()))
+      candidate = `${name} (${++n})`;
+    return candidate;
+  }
+
+  /**
+   * Every station in switcher order: [{ key, name, active }].
+   * active marks the one this page has open.
+   */
+  function stations() {
+    if (!_stations) throw new Error('[DB] Not initialised.');
+    return _stations.list.map(s => ({ ...s, active: s.key === _key }));
+  }
+
+  /**
+   * The station this page has open: { key, name }.
+   */
+  function station() {
+    return stations().find(s => s.active);
+  }
+
+  /**
+   * Add a station with an empty database. Its business profile starts
+   * with the station's name. Does not switch to it.
+   * @returns {Promise<{ key, name }>}
+   */
+  async function addStation(name) {
+    if (!_SQL) throw new Error('[DB] Not initialised.');
+    _checkOwner();
+    name = _checkStationName(name);
+
+    let ms = Date.now();
+    while (_stations.list.some(s => s.key === `station-${ms}.db`)) ms++;
+    const key = `station-${ms}.db`;
+
+    const db = await _fetchSeed();
+    try {
+      _migrate(db);
+      db.run('UPDATE company SET name = ? WHERE id = 1', [name]);
+      await _storeFile(db.export(), key);
+    } finally {
+      db.close();
+    }
+
+    await _editStations(() => _stations.list.push({ key, name: _checkStationName(name) }));
+    return { key, name };
+  }
+
+  async function renameStation(key, name) {
+    _checkOwner();
+    await _editStations(() => {
+      const s = _stations.list.find(s => s.key === key);
+      if (!s) throw new Error('That station no longer exists');
+      s.name = _checkStationName(name, key);
+    });
+  }
+
+  /**
+   * Make another station the active one. Reload the page afterwards —
+   * it still has this station open until then.
+   */
+  async function switchStation(key) {
+    await persist();
+    await _editStations(() => {
+      if (!_stations.list.some(s => s.key === key)) throw new Error('That station no longer exists');
+      _stations.active = key;
+    });
+  }
+
+  /**
+   * Delete a station with all its data and snapshots. Not the one open
+   * here — so there is always one left.
+   */
+  async function removeStation(key) {
+    _checkOwner();
+    if (key === _key) throw new Error('Switch to another station before removing this one');
+    if (!_stations.list.some(s => s.key === key)) return;
+
+    const index = (await _loadFromIDB(_snapIndex(key))) || [];
+    for (const s of index) await _deleteFromIDB(s.key);
+    await _deleteFromIDB(_snapIndex(key));
+    await _deleteFromIDB(`${key}.unreadable`);
+    await _deleteFromIDB(_revKey(key));
+    await _deleteFromIDB(key);
+
+    await _editStations(() => _stations.list = _stations.list.filter(s => s.key !== key));
+  }
+
+  /**
+   * Note whether a station has the PIN lock on. Only writes the station
+   * list when that changed.
+   */
+  async function setStationLocked(key, locked) {
+    if (_stations.list.find(s => s.key === key)?.locked === locked) return;
+    await _editStations(() => {
+      const s = _stations.list.find(s => s.key === key);
+      if (s) s.locked = locked;
+    });
+  }
+
+  /**
+   * Call fn(station) for each station in turn, with every query pointed
+   * at that station's data — so the usual db-*.js reads work on it.
+   * fn must be synchronous and only read: writes throw until it returns.
+   * A station whose saved file cannot be opened is skipped.
+   *
+   * @param {Function} fn — receives { key, name, active }
+   * @returns {Promise<Array>} what fn returned, per station
+   */
+  async function eachStation(fn) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    const results = [];
+
+    for (const s of stations()) {
+      let db = null;
+      if (!s.active) {
+        const saved = await _loadFromIDB(s.key);
+        if (!saved) continue;
+        try {
+          db = openBackup(saved);
+        } catch (err) {
+          console.warn(`[DB] Station ${s.name} not readable: ${err.message}`);
+          continue;
+        }
+      }
+
+      // Only now — another tab's save may have reloaded it meanwhile
+      const live = _db;
+      _db = db || live;
+      _readOnly = true;
+      try {
+        results.push(fn(s));
+      } finally {
+        _db = live;
+        _readOnly = false;
+        if (db) db.close();
+      }
+    }
+
+    return results;
+  }
+
+  // An all-stations backup is a database holding each station's file
+  const BUNDLE_SCHEMA = `
+    CREATE TABLE station_files (
+      key      TEXT    PRIMARY KEY,
+      name     TEXT    NOT NULL,
+      position INTEGER NOT NULL,
+      data     BLOB    NOT NULL
+    )
+  `;
 
   /**
-   * Format a number as Naira. Symbol only added at display time — never stored.
+   * Download every station in one file. With a passphrase the file is
+   * encrypted, like exportDB.
    */
-  function formatNaira(amount) {
-    if (amount == null) return '—';
-    return `₦${Number(amount).toLocaleString('en-NG')}`;
+  async function exportAll(filename = 'gnoke-gas-all-stations.db', { passphrase = null } = {}) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    const bundle = new _SQL.Database();
+    try {
+      bundle.run(BUNDLE_SCHEMA);
+      for (const [i, s] of _stations.list.entries()) {
+        const data = s.key === _key ? _export() : await _loadFromIDB(s.key);
+        if (!data) continue;
+        bundle.run(
+          'INSERT INTO station_files (key, name, position, data) VALUES (?, ?, ?, ?)',
+          [s.key, s.name, i, data]
+        );
+      }
+      await _download(bundle.export(), filename, passphrase);
+    } finally {
+      bundle.close();
+    }
+  }
+
+  // Each station of an all-stations backup, opened with openBackup —
+  // or null when the bytes are not an all-stations backup
+  function _openBundle(uint8) {
+    const bundle = _open(uint8);
+    if (!bundle) return null;
+    const opened = [];
+    try {
+      if (!_getExistingTables(bundle).includes('station_files')) return null;
+      const rows = bundle.exec('SELECT key, name, data FROM station_files ORDER BY position');
+      if (!rows.length) throw new Error('This backup has no stations in it');
+      for (const [key, name, data] of rows[0].values) {
+        try {
+          opened.push({ key, name, db: openBackup(data) });
+        } catch (err) {
+          throw new Error(`${name}: ${err.message}`);
+        }
+      }
+      return opened;
+    } catch (err) {
+      opened.forEach(s => s.db.close());
+      throw err;
+    } finally {
+      bundle.close();
+    }
   }
 
+  /**
+   * Restore the stations of an all-stations backup. Each replaces the
+   * station it was backed up from, after a snapshot of that station;
+   * ones not on this phone are added. Stations not in the backup are
+   * left alone. Takes ownership of every db. Reload the page afterwards.
+   *
+   * @param {Array<{ key, name, db }>} entries — from loadBackup
+   * @returns {Promise<{ replaced: number, added: number }>}
+   */
+  async function restoreStations(entries) {
+    _checkOwner();
+    const reason = 'Before restoring all stations';
+    const result = { replaced: 0, added: 0 };
+
+    for (const { key, db } of entries) {
+      const known = _stations.list.some(s => s.key === key);
+
+      if (key === _key) {
+        await replaceWith(db, { reason });
+      } else {
+        try {
+          const saved = known ? await _loadFromIDB(key) : null;
+          const old   = saved && _open(saved);
+          if (old) {
+            await _addSnapshot(saved, 'before', reason, _counts(old), key);
+            old.close();
+          }
+          await _storeFile(db.export(), key);
+        } finally {
+          db.close();
+        }
+      }
+    }
+
+    await _editStations(() => {
+      for (const { key, name } of entries) {
+        const known = _stations.list.find(s => s.key === key);
+        if (known) {
+          known.name = _freeName(name, key);
+          delete known.locked;   // the backup may have its own attendants
+          result.replaced++;
+        } else {
+          _stations.list.push({ key, name: _freeName(name, key) });
+          result.added++;
+        }
+      }
+    });
+    return result;
+  }
+
+  // ── Utilities ──────────────────────────────────────────────────────────────
+
   /**
    * Today's date as YYYY-MM-DD in local time.
    * Used as the primary key for the days table.
@@ -221,18 +1117,6 @@ const DB = (() => {
     return `${y}-${m}-${day}`;
   }
 
-  /**
-   * Format a YYYY-MM-DD date string for display — e.g. "Wed, 26 Feb 2026"
-   */
-  function formatDate(dateStr) {
-    if (!dateStr) return '—';
-    // Parse as local date to avoid UTC offset shifting the day
-    const [y, m, d] = dateStr.split('-').map(Number);
-    return new Date(y, m - 1, d).toLocaleDateString('en-NG', {
-      weekday: 'short', day: '2-digit', month: 'short', year: 'numeric'
-    });
-  }
-
   // ── Public API ─────────────────────────────────────────────────────────────
 
   return {
@@ -241,11 +1125,30 @@ const DB = (() => {
     run,
     transaction,
     persist,
+    saveState,
+    onSaveState,
+    onChange,
     exportDB,
+    openBackup,
+    loadBackup,
+    replaceWith,
     restoreDB,
-    formatNaira,
+    snapshot,
+    listSnapshots,
+    rollback,
+    deleteSnapshot,
+    stations,
+    station,
+    addStation,
+    renameStation,
+    switchStation,
+    removeStation,
+    setStationLocked,
+    setOwnerCheck,
+    eachStation,
+    exportAll,
+    restoreStations,
     today,
-    formatDate,
   };
 
 })();
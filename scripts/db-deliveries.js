@@ -0,0 +1,101 @@
+/*
+ * Gnoke Gas — db-deliveries.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Data access layer for:
+ *   - Stock deliveries (mid-day restocks) per day
+ *
+ * Delivered kg is added to the day's balance by DBSales totals.
+ * A closed day's deliveries are locked, like its sales. Changing a past
+ * day's deliveries re-carries opening stock into the days after it.
+ *
+ * Depends on db-core.js, db-sales.js
+ */
+
+const DBDeliveries = (() => {
+
+  // ── Deliveries ─────────────────────────────────────────────────────────────
+
+  function _checkOpen(dayId) {
+    if (DB.query('SELECT closed_at FROM days WHERE id = ?', [dayId])[0]?.closed_at)
+      throw new Error('[DBDeliveries] This day is closed — reopen it to make changes');
+  }
+
+  // Returns the delivery's day id
+  function _checkDeliveryOpen(deliveryId) {
+    const row = DB.query('SELECT day_id FROM deliveries WHERE id = ?', [deliveryId])[0];
+    if (row) _checkOpen(row.day_id);
+    return row?.day_id;
+  }
+
+  /**
+   * Get all deliveries for a day, earliest first.
+   */
+  function getDeliveriesForDay(dayId) {
+    return DB.query(
+      'SELECT * FROM deliveries WHERE day_id = ? ORDER BY received_at ASC, id ASC',
+      [dayId]
+    );
+  }
+
+  /**
+   * Record a delivery against a day.
+   * received_at is 'HH:MM' local time — defaults to now.
+   *
+   * @returns {number} the new delivery's id
+   */
+  async function addDelivery(dayId, { supplier = '', kg = 0, cost = 0, received_at = null } = {}) {
+    _checkOpen(dayId);
+    const result = await DB.run(
+      `INSERT INTO deliveries (day_id, supplier, kg, cost, received_at)
+       VALUES (?, ?, ?, ?, COALESCE(?, strftime('%H:%M','now','localtime')))`,
+      [dayId, supplier, kg, cost, received_at || null]
+    );
+    await DBSales.carryForward(dayId);
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Update an existing delivery.
+   * Pass only the fields you want to change.
+   */
+  async function updateDelivery(deliveryId, { supplier, kg, cost, received_at }) {
+    const parts  = [];
+    const params = [];
+
+    if (supplier    !== undefined) { parts.push('supplier = ?');    params.push(supplier); }
+    if (kg          !== undefined) { parts.push('kg = ?');          params.push(kg); }
+    if (cost        !== undefined) { parts.push('cost = ?');        params.push(cost); }
+    if (received_at !== undefined) { parts.push('received_at = ?'); params.push(received_at); }
+
+    if (!parts.length) return;
+    const dayId = _checkDeliveryOpen(deliveryId);
+    params.push(deliveryId);
+
+    await DB.run(
+      `UPDATE deliveries SET ${parts.join(', ')} WHERE id = ?`,
+      params
+    );
+    if (dayId && kg !== undefined) await DBSales.carryForward(dayId);
+  }
+
+  /**
+   * Delete a delivery.
+   */
+  async function deleteDelivery(deliveryId) {
+    const dayId = _checkDeliveryOpen(deliveryId);
+    await DB.run('DELETE FROM deliveries WHERE id = ?', [deliveryId]);
+    if (dayId) await DBSales.carryForward(dayId);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    getDeliveriesForDay,
+    addDelivery,
+    updateDelivery,
+    deleteDelivery,
+  };
+
+})();
@@ -0,0 +1,77 @@
+/*
+ * Gnoke Gas — db-expenses.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Data access layer for:
+ *   - Daily operating expenses (transport, staff, generator fuel ...)
+ *
+ * Expenses are subtracted from gross margin by DBSales history queries.
+ *
+ * Depends on db-core.js
+ */
+
+const DBExpenses = (() => {
+
+  // Stored value → display label
+  const CATEGORIES = {
+    transport: 'Transport',
+    staff:     'Staff',
+    generator: 'Generator fuel',
+    rent:      'Rent',
+    repairs:   'Repairs',
+    other:     'Other',
+  };
+
+  // ── Expenses ───────────────────────────────────────────────────────────────
+
+  /**
+   * Get all expenses for a day, in the order they were recorded.
+   */
+  function getExpensesForDay(dayId) {
+    return DB.query(
+      'SELECT * FROM expenses WHERE day_id = ? ORDER BY id ASC',
+      [dayId]
+    );
+  }
+
+  /**
+   * Record an expense against a day.
+   * @returns {number} the new expense's id
+   */
+  async function addExpense(dayId, { category = 'other', amount = 0, note = '' } = {}) {
+    if (!CATEGORIES[category])
+      throw new Error(`[DBExpenses] Unknown category: ${category}`);
+    const result = await DB.run(
+      `INSERT INTO expenses (day_id, category, amount, note)
+       VALUES (?, ?, ?, ?)`,
+      [dayId, category, amount, note]
+    );
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Delete an expense.
+   */
+  async function deleteExpense(expenseId) {
+    await DB.run('DELETE FROM expenses WHERE id = ?', [expenseId]);
+  }
+
+  /**
+   * Display label for a stored category.
+   */
+  function categoryLabel(category) {
+    return CATEGORIES[category] || CATEGORIES.other;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    CATEGORIES,
+    getExpensesForDay,
+    addExpense,
+    deleteExpense,
+    categoryLabel,
+  };
+
+})();
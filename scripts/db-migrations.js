@@ -0,0 +1,525 @@
+/*
+ * Gnoke Gas — db-migrations.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Ordered schema upgrade steps.
+ * DB.init reads settings.db_version and applies every step with a
+ * higher version, one transaction per step, on the user's own data.
+ *
+ * Rules for new steps:
+ *   - Append only. Never edit or reorder a step that has shipped.
+ *   - Versions are consecutive integers.
+ *   - Steps must work on data created by any earlier version.
+ *   - Each step receives the raw sql.js Database — use db.run / db.exec.
+ *
+ * Must be loaded before DB.init is called.
+ */
+
+const DBMigrations = (() => {
+
+  const STEPS = [
+
+    // ── v1 — Baseline schema ─────────────────────────────────────────────────
+    // Matches data/gas.db as shipped. Only runs on caches that predate
+    // db_version, recreating any missing table without touching the rest.
+    {
+      version: 1,
+      description: 'Baseline schema',
+      up(db) {
+        db.run(`
+          CREATE TABLE IF NOT EXISTS company (
+            id         INTEGER PRIMARY KEY,
+            name       TEXT NOT NULL DEFAULT '',
+            phone      TEXT NOT NULL DEFAULT '',
+            address    TEXT NOT NULL DEFAULT '',
+            updated_at TEXT NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+          CREATE TABLE IF NOT EXISTS settings (
+            key   TEXT PRIMARY KEY,
+            value TEXT NOT NULL DEFAULT ''
+          );
+          CREATE TABLE IF NOT EXISTS days (
+            id            INTEGER PRIMARY KEY AUTOINCREMENT,
+            date          TEXT    NOT NULL UNIQUE,
+            opening_stock REAL    NOT NULL DEFAULT 0,
+            unit_price    REAL    NOT NULL DEFAULT 0,
+            created_at    TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+          CREATE TABLE IF NOT EXISTS sales (
+            id       INTEGER PRIMARY KEY AUTOINCREMENT,
+            day_id   INTEGER NOT NULL REFERENCES days(id) ON DELETE CASCADE,
+            seq      INTEGER NOT NULL DEFAULT 1,
+            kg       REAL    NOT NULL DEFAULT 0,
+            price    REAL    NOT NULL DEFAULT 0,
+            comments TEXT    NOT NULL DEFAULT '',
+            saved_at TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+          CREATE INDEX IF NOT EXISTS idx_sales_day_id ON sales(day_id);
+          CREATE INDEX IF NOT EXISTS idx_days_date    ON days(date);
+          INSERT OR IGNORE INTO company (id) VALUES (1);
+          INSERT OR IGNORE INTO settings (key, value) VALUES ('theme', 'dark');
+          INSERT OR IGNORE INTO settings (key, value) VALUES ('currency_symbol', '₦');
+        `);
+      },
+    },
+
+    // ── v2 — Deliveries ledger ───────────────────────────────────────────────
+    // Mid-day restocks. Balance becomes opening + delivered − sold.
+    {
+      version: 2,
+      description: 'Deliveries ledger',
+      up(db) {
+        db.run(`
+          CREATE TABLE deliveries (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            day_id      INTEGER NOT NULL REFERENCES days(id) ON DELETE CASCADE,
+            supplier    TEXT    NOT NULL DEFAULT '',
+            kg          REAL    NOT NULL DEFAULT 0,
+            cost        REAL    NOT NULL DEFAULT 0,   -- total paid for the load
+            received_at TEXT    NOT NULL DEFAULT (strftime('%H:%M','now','localtime')),
+            saved_at    TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+          CREATE INDEX idx_deliveries_day_id ON deliveries(day_id);
+        `);
+      },
+    },
+
+    // ── v3 — Customers, credit sales and repayments ──────────────────────────
+    // payment_status: 'paid' | 'credit' | 'part'.
+    // amount_paid only matters for 'part' — owed = price − amount_paid.
+    {
+      version: 3,
+      description: 'Customers and credit sales',
+      up(db) {
+        db.run(`
+          CREATE TABLE customers (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            name       TEXT    NOT NULL UNIQUE COLLATE NOCASE,
+            phone      TEXT    NOT NULL DEFAULT '',
+            created_at TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+          CREATE TABLE repayments (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+            amount      REAL    NOT NULL DEFAULT 0,
+            paid_on     TEXT    NOT NULL,   -- YYYY-MM-DD
+            note        TEXT    NOT NULL DEFAULT '',
+            saved_at    TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+          CREATE INDEX idx_repayments_customer_id ON repayments(customer_id);
+
+          ALTER TABLE sales ADD COLUMN customer_id    INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+          ALTER TABLE sales ADD COLUMN payment_status TEXT NOT NULL DEFAULT 'paid';
+          ALTER TABLE sales ADD COLUMN amount_paid    REAL NOT NULL DEFAULT 0;
+          CREATE INDEX idx_sales_customer_id ON sales(customer_id);
+        `);
+      },
+    },
+
+    // ── v4 — Per-sale unit price and price change log ────────────────────────
+    // A sale keeps the unit price in effect when it was entered (entered_at
+    // is stamped when kg is first set). Existing days get one log entry at
+    // midnight with their current price, which is what every sale used.
+    {
+      version: 4,
+      description: 'Per-sale unit price and price change log',
+      up(db) {
+        db.run(`
+          ALTER TABLE sales ADD COLUMN unit_price REAL NOT NULL DEFAULT 0;
+          ALTER TABLE sales ADD COLUMN entered_at TEXT;
+          UPDATE sales SET
+            unit_price = (SELECT unit_price FROM days WHERE days.id = sales.day_id),
+            entered_at = CASE WHEN kg > 0 THEN saved_at END;
+
+          CREATE TABLE price_changes (
+            id           INTEGER PRIMARY KEY AUTOINCREMENT,
+            day_id       INTEGER NOT NULL REFERENCES days(id) ON DELETE CASCADE,
+            unit_price   REAL    NOT NULL DEFAULT 0,
+            effective_at TEXT    NOT NULL,   -- YYYY-MM-DD HH:MM:SS local
+            saved_at     TEXT    NOT NULL DEFAULT (datetime('now','localtime')),
+            UNIQUE (day_id, effective_at)
+          );
+          INSERT INTO price_changes (day_id, unit_price, effective_at)
+            SELECT id, unit_price, date || ' 00:00:00' FROM days;
+        `);
+      },
+    },
+
+    // ── v5 — Operating expenses ──────────────────────────────────────────────
+    // Purchase cost comes from deliveries.cost; this holds everything else.
+    {
+      version: 5,
+      description: 'Operating expenses',
+      up(db) {
+        db.run(`
+          CREATE TABLE expenses (
+            id       INTEGER PRIMARY KEY AUTOINCREMENT,
+            day_id   INTEGER NOT NULL REFERENCES days(id) ON DELETE CASCADE,
+            category TEXT    NOT NULL DEFAULT 'other',
+            amount   REAL    NOT NULL DEFAULT 0,
+            note     TEXT    NOT NULL DEFAULT '',
+            saved_at TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+          CREATE INDEX idx_expenses_day_id ON expenses(day_id);
+        `);
+      },
+    },
+
+    // ── v6 — Clear rows left by deleted days ─────────────────────────────────
+    // Foreign keys were switched off after every save, so deleting a day
+    // did not cascade. Remove what those deletes should have taken along.
+    {
+      version: 6,
+      description: 'Clear rows left by deleted days',
+      up(db) {
+        db.run(`
+          DELETE FROM sales         WHERE day_id NOT IN (SELECT id FROM days);
+          DELETE FROM deliveries    WHERE day_id NOT IN (SELECT id FROM days);
+          DELETE FROM price_changes WHERE day_id NOT IN (SELECT id FROM days);
+          DELETE FROM expenses      WHERE day_id NOT IN (SELECT id FROM days);
+          DELETE FROM repayments    WHERE customer_id NOT IN (SELECT id FROM customers);
+        `);
+      },
+    },
+
+    // ── v7 — Audit log for sales and days ────────────────────────────────────
+    // Triggers record every insert, update and delete with the row before and
+    // after as JSON. The table refuses updates and deletes of its own rows.
+    // Resequencing after a delete only moves seq, so seq-only updates are
+    // not logged. A day's delete is logged BEFORE it runs: the sales removed
+    // by its cascade can no longer see the day, and take its date from there.
+    {
+      version: 7,
+      description: 'Audit log for sales and days',
+      up(db) {
+        const sale = r => `json_object(
+          'id', ${r}.id, 'day_id', ${r}.day_id, 'seq', ${r}.seq, 'kg', ${r}.kg,
+          'price', ${r}.price, 'unit_price', ${r}.unit_price, 'comments', ${r}.comments,
+          'customer_id', ${r}.customer_id,
+          'customer', (SELECT name FROM customers WHERE id = ${r}.customer_id),
+          'payment_status', ${r}.payment_status, 'amount_paid', ${r}.amount_paid,
+          'entered_at', ${r}.entered_at, 'saved_at', ${r}.saved_at)`;
+        const day = r => `json_object(
+          'id', ${r}.id, 'date', ${r}.date, 'opening_stock', ${r}.opening_stock,
+          'unit_price', ${r}.unit_price, 'created_at', ${r}.created_at)`;
+        const saleDate = r => `COALESCE(
+          (SELECT date FROM days WHERE id = ${r}.day_id),
+          (SELECT date FROM audit_log
+           WHERE table_name = 'days' AND row_id = ${r}.day_id
+           ORDER BY id DESC LIMIT 1))`;
+
+        db.run(`
+          CREATE TABLE audit_log (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            table_name TEXT    NOT NULL,   -- sales | days
+            row_id     INTEGER NOT NULL,
+            date       TEXT,               -- the day the row belongs to
+            action     TEXT    NOT NULL,   -- insert | update | delete
+            old_values TEXT,               -- JSON, NULL on insert
+            new_values TEXT,               -- JSON, NULL on delete
+            at         TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+          CREATE INDEX idx_audit_log_date ON audit_log(date);
+
+          CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+          BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+          CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+          BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+          CREATE TRIGGER audit_sales_insert AFTER INSERT ON sales
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, new_values)
+            VALUES ('sales', NEW.id, ${saleDate('NEW')}, 'insert', ${sale('NEW')});
+          END;
+          CREATE TRIGGER audit_sales_update AFTER UPDATE ON sales
+          WHEN OLD.day_id IS NOT NEW.day_id OR OLD.kg IS NOT NEW.kg
+            OR OLD.price IS NOT NEW.price OR OLD.unit_price IS NOT NEW.unit_price
+            OR OLD.comments IS NOT NEW.comments OR OLD.customer_id IS NOT NEW.customer_id
+            OR OLD.payment_status IS NOT NEW.payment_status
+            OR OLD.amount_paid IS NOT NEW.amount_paid
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values, new_values)
+            VALUES ('sales', NEW.id, ${saleDate('NEW')}, 'update', ${sale('OLD')}, ${sale('NEW')});
+          END;
+          CREATE TRIGGER audit_sales_delete AFTER DELETE ON sales
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values)
+            VALUES ('sales', OLD.id, ${saleDate('OLD')}, 'delete', ${sale('OLD')});
+          END;
+
+          CREATE TRIGGER audit_days_insert AFTER INSERT ON days
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, new_values)
+            VALUES ('days', NEW.id, NEW.date, 'insert', ${day('NEW')});
+          END;
+          CREATE TRIGGER audit_days_update AFTER UPDATE ON days
+          WHEN OLD.date IS NOT NEW.date OR OLD.opening_stock IS NOT NEW.opening_stock
+            OR OLD.unit_price IS NOT NEW.unit_price
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values, new_values)
+            VALUES ('days', NEW.id, NEW.date, 'update', ${day('OLD')}, ${day('NEW')});
+          END;
+          CREATE TRIGGER audit_days_delete BEFORE DELETE ON days
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values)
+            VALUES ('days', OLD.id, OLD.date, 'delete', ${day('OLD')});
+          END;
+        `);
+      },
+    },
+
+    // ── v8 — Day close with measured stock ───────────────────────────────────
+    // measured_stock is the tank reading taken at close; variance is that
+    // reading minus the computed balance at the time (negative = gas missing).
+    // closed_at set means the day is locked. The days audit trigger is
+    // recreated so closing and reopening are logged too.
+    {
+      version: 8,
+      description: 'Day close with measured stock',
+      up(db) {
+        const day = r => `json_object(
+          'id', ${r}.id, 'date', ${r}.date, 'opening_stock', ${r}.opening_stock,
+          'unit_price', ${r}.unit_price, 'created_at', ${r}.created_at,
+          'measured_stock', ${r}.measured_stock, 'variance', ${r}.variance,
+          'closed_at', ${r}.closed_at)`;
+
+        db.run(`
+          ALTER TABLE days ADD COLUMN measured_stock REAL;
+          ALTER TABLE days ADD COLUMN variance       REAL;
+          ALTER TABLE days ADD COLUMN closed_at      TEXT;
+
+          DROP TRIGGER audit_days_insert;
+          DROP TRIGGER audit_days_update;
+          DROP TRIGGER audit_days_delete;
+
+          CREATE TRIGGER audit_days_insert AFTER INSERT ON days
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, new_values)
+            VALUES ('days', NEW.id, NEW.date, 'insert', ${day('NEW')});
+          END;
+          CREATE TRIGGER audit_days_update AFTER UPDATE ON days
+          WHEN OLD.date IS NOT NEW.date OR OLD.opening_stock IS NOT NEW.opening_stock
+            OR OLD.unit_price IS NOT NEW.unit_price
+            OR OLD.measured_stock IS NOT NEW.measured_stock
+            OR OLD.closed_at IS NOT NEW.closed_at
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values, new_values)
+            VALUES ('days', NEW.id, NEW.date, 'update', ${day('OLD')}, ${day('NEW')});
+          END;
+          CREATE TRIGGER audit_days_delete BEFORE DELETE ON days
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values)
+            VALUES ('days', OLD.id, OLD.date, 'delete', ${day('OLD')});
+          END;
+        `);
+      },
+    },
+
+    // ── v9 — Manually set opening stock ──────────────────────────────────────
+    // Editing a past day re-carries opening stock into the days after it,
+    // except where the opening was typed in by hand. Existing days are
+    // marked manual when their opening differs from the previous day's
+    // closing stock (tank reading if closed, else the computed balance).
+    {
+      version: 9,
+      description: 'Manually set opening stock',
+      up(db) {
+        db.run(`
+          ALTER TABLE days ADD COLUMN opening_manual INTEGER NOT NULL DEFAULT 0;
+
+          UPDATE days SET opening_manual = 1
+          WHERE ABS(opening_stock - (
+            SELECT COALESCE(p.measured_stock, MAX(0, p.opening_stock
+              + (SELECT COALESCE(SUM(kg), 0) FROM deliveries WHERE day_id = p.id)
+              - (SELECT COALESCE(SUM(kg), 0) FROM sales      WHERE day_id = p.id)))
+            FROM days p
+            WHERE p.date < days.date
+            ORDER BY p.date DESC
+            LIMIT 1
+          )) >= 0.005;
+        `);
+      },
+    },
+
+    // ── v10 — Receipt prints ─────────────────────────────────────────────────
+    // One row per receipt printed for a sale. Every print repeats the first
+    // one's number, so a reprint matches the paper the customer already has
+    // even after a deleted row renumbers the day.
+    {
+      version: 10,
+      description: 'Receipt prints',
+      up(db) {
+        db.run(`
+          CREATE TABLE receipts (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id    INTEGER NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+            number     TEXT    NOT NULL,
+            printed_at TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+          CREATE INDEX idx_receipts_sale_id ON receipts(sale_id);
+        `);
+      },
+    },
+
+    // ── v11 — Products besides bulk gas ──────────────────────────────────────
+    // Pre-filled cylinders, regulators, hoses ... sold by the unit. A sale
+    // with product_id NULL is bulk gas by kg; a product sale keeps kg at 0 and
+    // counts qty, so stock balance and cost of gas are untouched.
+    // day_products holds a tracked product's count where the day sets it by
+    // hand (opening) or stock came in (received); other days carry the count
+    // on from the day before. The sales audit triggers are recreated to log
+    // product and qty.
+    {
+      version: 11,
+      description: 'Products besides bulk gas',
+      up(db) {
+        const sale = r => `json_object(
+          'id', ${r}.id, 'day_id', ${r}.day_id, 'seq', ${r}.seq, 'kg', ${r}.kg,
+          'price', ${r}.price, 'unit_price', ${r}.unit_price, 'comments', ${r}.comments,
+          'customer_id', ${r}.customer_id,
+          'customer', (SELECT name FROM customers WHERE id = ${r}.customer_id),
+          'product_id', ${r}.product_id,
+          'product', (SELECT name FROM products WHERE id = ${r}.product_id),
+          'qty', ${r}.qty,
+          'payment_status', ${r}.payment_status, 'amount_paid', ${r}.amount_paid,
+          'entered_at', ${r}.entered_at, 'saved_at', ${r}.saved_at)`;
+        const saleDate = r => `COALESCE(
+          (SELECT date FROM days WHERE id = ${r}.day_id),
+          (SELECT date FROM audit_log
+           WHERE table_name = 'days' AND row_id = ${r}.day_id
+           ORDER BY id DESC LIMIT 1))`;
+
+        db.run(`
+          CREATE TABLE products (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            name        TEXT    NOT NULL UNIQUE COLLATE NOCASE,
+            price       REAL    NOT NULL DEFAULT 0,
+            track_stock INTEGER NOT NULL DEFAULT 0,
+            active      INTEGER NOT NULL DEFAULT 1,   -- 0 = retired, kept for old sales
+            created_at  TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+
+          ALTER TABLE sales ADD COLUMN product_id INTEGER REFERENCES products(id);
+          ALTER TABLE sales ADD COLUMN qty        INTEGER NOT NULL DEFAULT 0;
+          CREATE INDEX idx_sales_product_id ON sales(product_id);
+
+          CREATE TABLE day_products (
+            day_id     INTEGER NOT NULL REFERENCES days(id)     ON DELETE CASCADE,
+            product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            opening    INTEGER,                    -- NULL = carried from the day before
+            received   INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (day_id, product_id)
+          );
+
+          DROP TRIGGER audit_sales_insert;
+          DROP TRIGGER audit_sales_update;
+          DROP TRIGGER audit_sales_delete;
+
+          CREATE TRIGGER audit_sales_insert AFTER INSERT ON sales
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, new_values)
+            VALUES ('sales', NEW.id, ${saleDate('NEW')}, 'insert', ${sale('NEW')});
+          END;
+          CREATE TRIGGER audit_sales_update AFTER UPDATE ON sales
+          WHEN OLD.day_id IS NOT NEW.day_id OR OLD.kg IS NOT NEW.kg
+            OR OLD.price IS NOT NEW.price OR OLD.unit_price IS NOT NEW.unit_price
+            OR OLD.comments IS NOT NEW.comments OR OLD.customer_id IS NOT NEW.customer_id
+            OR OLD.payment_status IS NOT NEW.payment_status
+            OR OLD.amount_paid IS NOT NEW.amount_paid
+            OR OLD.product_id IS NOT NEW.product_id OR OLD.qty IS NOT NEW.qty
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values, new_values)
+            VALUES ('sales', NEW.id, ${saleDate('NEW')}, 'update', ${sale('OLD')}, ${sale('NEW')});
+          END;
+          CREATE TRIGGER audit_sales_delete AFTER DELETE ON sales
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values)
+            VALUES ('sales', OLD.id, ${saleDate('OLD')}, 'delete', ${sale('OLD')});
+          END;
+        `);
+      },
+    },
+
+    // ── v12 — Attendants with PINs ───────────────────────────────────────────
+    // Profiles for everyone who uses the app, each with a salted PIN hash
+    // and a role (db-attendants.js). sales.attendant_id records who entered
+    // a sale — NULL for sales from before the lock was on. The sales audit
+    // triggers are recreated to log it, with the attendant's name.
+    {
+      version: 12,
+      description: 'Attendants with PINs, sales stamped with who entered them',
+      up(db) {
+        const sale = r => `json_object(
+          'id', ${r}.id, 'day_id', ${r}.day_id, 'seq', ${r}.seq, 'kg', ${r}.kg,
+          'price', ${r}.price, 'unit_price', ${r}.unit_price, 'comments', ${r}.comments,
+          'customer_id', ${r}.customer_id,
+          'customer', (SELECT name FROM customers WHERE id = ${r}.customer_id),
+          'product_id', ${r}.product_id,
+          'product', (SELECT name FROM products WHERE id = ${r}.product_id),
+          'qty', ${r}.qty,
+          'payment_status', ${r}.payment_status, 'amount_paid', ${r}.amount_paid,
+          'attendant_id', ${r}.attendant_id,
+          'attendant', (SELECT name FROM attendants WHERE id = ${r}.attendant_id),
+          'entered_at', ${r}.entered_at, 'saved_at', ${r}.saved_at)`;
+        const saleDate = r => `COALESCE(
+          (SELECT date FROM days WHERE id = ${r}.day_id),
+          (SELECT date FROM audit_log
+           WHERE table_name = 'days' AND row_id = ${r}.day_id
+           ORDER BY id DESC LIMIT 1))`;
+
+        db.run(`
+          CREATE TABLE attendants (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            name       TEXT    NOT NULL UNIQUE COLLATE NOCASE,
+            role       TEXT    NOT NULL DEFAULT 'attendant'
+                               CHECK (role IN ('owner', 'attendant')),
+            pin_hash   TEXT    NOT NULL,              -- PBKDF2-SHA256, hex
+            pin_salt   TEXT    NOT NULL,              -- hex
+            active     INTEGER NOT NULL DEFAULT 1,    -- 0 = retired, kept for old sales
+            created_at TEXT    NOT NULL DEFAULT (datetime('now','localtime'))
+          );
+
+          ALTER TABLE sales ADD COLUMN attendant_id INTEGER REFERENCES attendants(id);
+          CREATE INDEX idx_sales_attendant_id ON sales(attendant_id);
+
+          DROP TRIGGER audit_sales_insert;
+          DROP TRIGGER audit_sales_update;
+          DROP TRIGGER audit_sales_delete;
+
+          CREATE TRIGGER audit_sales_insert AFTER INSERT ON sales
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, new_values)
+            VALUES ('sales', NEW.id, ${saleDate('NEW')}, 'insert', ${sale('NEW')});
+          END;
+          CREATE TRIGGER audit_sales_update AFTER UPDATE ON sales
+          WHEN OLD.day_id IS NOT NEW.day_id OR OLD.kg IS NOT NEW.kg
+            OR OLD.price IS NOT NEW.price OR OLD.unit_price IS NOT NEW.unit_price
+            OR OLD.comments IS NOT NEW.comments OR OLD.customer_id IS NOT NEW.customer_id
+            OR OLD.payment_status IS NOT NEW.payment_status
+            OR OLD.amount_paid IS NOT NEW.amount_paid
+            OR OLD.product_id IS NOT NEW.product_id OR OLD.qty IS NOT NEW.qty
+            OR OLD.attendant_id IS NOT NEW.attendant_id
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values, new_values)
+            VALUES ('sales', NEW.id, ${saleDate('NEW')}, 'update', ${sale('OLD')}, ${sale('NEW')});
+          END;
+          CREATE TRIGGER audit_sales_delete AFTER DELETE ON sales
+          BEGIN
+            INSERT INTO audit_log (table_name, row_id, date, action, old_values)
+            VALUES ('sales', OLD.id, ${saleDate('OLD')}, 'delete', ${sale('OLD')});
+          END;
+        `);
+      },
+    },
+
+  ];
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    steps:  STEPS,
+    latest: STEPS.length ? STEPS[STEPS.length - 1].version : 0,
+  };
+
+})();
@@ -0,0 +1,245 @@
+/*
+ * Gnoke Gas — db-products.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Data access layer for:
+ *   - The products catalogue — everything sold by the unit besides bulk
+ *     gas (pre-filled cylinders, regulators, hoses, burners ...)
+ *   - Stock counts of the products that track them, per day
+ *
+ * Product sales are sales rows with product_id and qty (db-sales.js).
+ * A tracked product's count carries from day to day like gas stock:
+ *   opening = count set by hand that day, else the day before's closing
+ *   closing = opening + received − sold
+ * Only days with a count set by hand or stock received have a
+ * day_products row; the rest are worked out from those.
+ *
+ * Depends on db-core.js, format.js, db-sales.js
+ */
+
+const DBProducts = (() => {
+
+  function _checkName(name) {
+    name = (name || '').trim();
+    if (!name) throw new Error('[DBProducts] Enter the product name');
+    return name;
+  }
+
+  function _checkCount(value, what) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0)
+      throw new Error(`[DBProducts] ${what} must be a whole number`);
+    return n;
+  }
+
+  // ── Catalogue ──────────────────────────────────────────────────────────────
+
+  /**
+   * Products in the catalogue, alphabetical. Retired ones only when asked.
+   */
+  function getProducts({ includeRetired = false } = {}) {
+    return DB.query(
+      `SELECT * FROM products
+       ${includeRetired ? '' : 'WHERE active = 1'}
+       ORDER BY name COLLATE NOCASE ASC`
+    );
+  }
+
+  function getProduct(productId) {
+    return DB.query('SELECT * FROM products WHERE id = ?', [productId])[0] || null;
+  }
+
+  /**
+   * Add a product to the catalogue.
+   * @returns {number} the new product's id
+   */
+  async function addProduct({ name, price = 0, track_stock = false } = {}) {
+    name = _checkName(name);
+    if (DB.query('SELECT 1 FROM products WHERE name = ? COLLATE NOCASE', [name]).length)
+      throw new Error(`[DBProducts] ${name} is already in the catalogue`);
+    const result = await DB.run(
+      'INSERT INTO products (name, price, track_stock) VALUES (?, ?, ?)',
+      [name, Number(price) || 0, track_stock ? 1 : 0]
+    );
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Change a product. Pass only the fields you want to change.
+   * A new price applies to sales entered from now on.
+   */
+  async function updateProduct(productId, { name, price, track_stock, active }) {
+    const parts  = [];
+    const params = [];
+
+    if (name !== undefined) {
+      name = _checkName(name);
+      if (DB.query('SELECT 1 FROM products WHERE name = ? COLLATE NOCASE AND id != ?',
+                   [name, productId]).length)
+        throw new Error(`[DBProducts] ${name} is already in the catalogue`);
+      parts.push('name = ?');
+      params.push(name);
+    }
+    if (price       !== undefined) { parts.push('price = ?');       params.push(Number(price) || 0); }
+    if (track_stock !== undefined) { parts.push('track_stock = ?'); params.push(track_stock ? 1 : 0); }
+    if (active      !== undefined) { parts.push('active = ?');      params.push(active ? 1 : 0); }
+
+    if (!parts.length) return;
+    params.push(productId);
+    await DB.run(`UPDATE products SET ${parts.join(', ')} WHERE id = ?`, params);
+  }
+
+  /**
+   * Remove a product. One that was ever sold is retired instead, so old
+   * sales keep their name.
+   * @returns {'deleted'|'retired'}
+   */
+  async function removeProduct(productId) {
+    if (DB.query('SELECT 1 FROM sales WHERE product_id = ? LIMIT 1', [productId]).length) {
+      await updateProduct(productId, { active: false });
+      return 'retired';
+    }
+    await DB.run('DELETE FROM products WHERE id = ?', [productId]);
+    return 'deleted';
+  }
+
+  // ── Stock counts ───────────────────────────────────────────────────────────
+
+  // Units received less units sold for a product over days in [from, to)
+  function _netMoved(productId, from, to) {
+    return DB.query(`
+      SELECT
+        (SELECT COALESCE(SUM(dp.received), 0)
+         FROM day_products dp JOIN days d ON d.id = dp.day_id
+         WHERE dp.product_id = ? AND d.date >= ? AND d.date < ?)
+      - (SELECT COALESCE(SUM(s.qty), 0)
+         FROM sales s JOIN days d ON d.id = s.day_id
+         WHERE s.product_id = ? AND d.date >= ? AND d.date < ?) AS net
+    `, [productId, from, to, productId, from, to])[0].net;
+  }
+
+  /**
+   * A tracked product's count on a day.
+   * @returns {{ opening, opening_manual, received, sold, closing }}
+   */
+  function getStock(productId, date) {
+    // Latest count set by hand on or before the day — the carry starts there
+    const set = DB.query(`
+      SELECT d.date, dp.opening
+      FROM day_products dp JOIN days d ON d.id = dp.day_id
+      WHERE dp.product_id = ? AND dp.opening IS NOT NULL AND d.date <= ?
+      ORDER BY d.date DESC LIMIT 1
+    `, [productId, date])[0];
+
+    const today = DB.query(`
+      SELECT
+        dp.received,
+        (SELECT COALESCE(SUM(s.qty), 0) FROM sales s
+         WHERE s.day_id = d.id AND s.product_id = ?) AS sold
+      FROM days d
+      LEFT JOIN day_products dp ON dp.day_id = d.id AND dp.product_id = ?
+      WHERE d.date = ?
+    `, [productId, productId, date])[0] || { received: 0, sold: 0 };
+
+    const opening  = set
+      ? set.opening + _netMoved(productId, set.date, date)
+      : _netMoved(productId, '', date);
+    const received = today.received || 0;
+    return {
+      opening,
+      opening_manual: !!set && set.date === date,
+      received,
+      sold:           today.sold,
+      closing:        opening + received - today.sold,
+    };
+  }
+
+  /**
+   * Every product sold on a day or tracked, with units and revenue.
+   * Tracked products carry their getStock() counts under `stock`.
+   * @returns {Array<{ id, name, price, track_stock, units, revenue, stock }>}
+   */
+  function getDayProducts(dayId) {
+    const day = DB.query('SELECT date FROM days WHERE id = ?', [dayId])[0];
+    if (!day) return [];
+    return DB.query(`
+      SELECT
+        p.*,
+        COALESCE(SUM(s.qty),   0) AS units,
+        COALESCE(SUM(s.price), 0) AS revenue
+      FROM products p
+      LEFT JOIN sales s ON s.product_id = p.id AND s.day_id = ?
+      GROUP BY p.id
+      HAVING units > 0 OR (p.track_stock = 1 AND p.active = 1)
+      ORDER BY p.name COLLATE NOCASE ASC
+    `, [dayId]).map(p => ({
+      ...p,
+      stock: p.track_stock ? getStock(p.id, day.date) : null,
+    }));
+  }
+
+  // Write one field of a day's product row, creating it as needed
+  async function _setDayField(dayId, productId, field, value) {
+    if (DBSales.isDayClosed(dayId))
+      throw new Error('[DBProducts] This day is closed — reopen it to make changes');
+    await DB.run(
+      `INSERT INTO day_products (day_id, product_id, ${field}) VALUES (?, ?, ?)
+       ON CONFLICT(day_id, product_id) DO UPDATE SET ${field} = excluded.${field}`,
+      [dayId, productId, value]
+    );
+  }
+
+  /**
+   * Set a product's opening count on a day by hand. Days after it carry
+   * on from here until the next count set by hand.
+   */
+  async function setOpening(dayId, productId, count) {
+    await _setDayField(dayId, productId, 'opening', _checkCount(count, 'Opening count'));
+  }
+
+  /**
+   * Go back to carrying the count from the day before.
+   */
+  async function resetOpening(dayId, productId) {
+    await _setDayField(dayId, productId, 'opening', null);
+  }
+
+  /**
+   * Units of a product received on a day.
+   */
+  async function setReceived(dayId, productId, count) {
+    await _setDayField(dayId, productId, 'received', _checkCount(count, 'Units received'));
+  }
+
+  // ── Display ────────────────────────────────────────────────────────────────
+
+  /**
+   * What a sale row sold — "12.50 kg", or "2 × Regulator" for a product.
+   * Needs product_name on the row, as getSalesForDay gives it.
+   */
+  function saleItem(sale) {
+    if (sale.product_id == null) return Format.weight(sale.kg);
+    return `${Format.number(sale.qty, 0)} × ${sale.product_name || 'Product'}`;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    // Catalogue
+    getProducts,
+    getProduct,
+    addProduct,
+    updateProduct,
+    removeProduct,
+    // Stock
+    getStock,
+    getDayProducts,
+    setOpening,
+    resetOpening,
+    setReceived,
+    // Display
+    saleItem,
+  };
+
+})();
@@ -4,11 +4,18 @@
  * Licensed under GNU GPL v3
  *
  * Data access layer for:
- *   - Today's day record (auto-create with carry-forward)
- *   - Sales line items (real-time insert / update / delete)
- *   - Day totals
- *   - History
+ *   - Day records (auto-create with carry-forward, for today or a past date)
+ *   - Re-carrying opening stock after a past day is edited
+ *   - Closing a day against a measured tank reading
+ *   - Sales line items (real-time insert / update / delete) — bulk gas by
+ *     kg, or a product from db-products.js by qty
+ *   - Customers, credit sales and repayments (debt ledger)
+ *   - Day totals (including delivered stock from db-deliveries.js)
+ *   - History, with profit per day and totals per week / month / year
+ *   - Audit log of sale and day changes, and undo of a deleted sale
+ *   - Receipt numbers and reprints
  *   - Company profile
+ *   - Low-stock level and stock-out forecast
  *   - Settings
  *
  * Depends on db-core.js
@@ -16,21 +23,104 @@
 
 const DBSales = (() => {
 
+  // Delivered kg for day row `d` — a subquery so it doesn't multiply
+  // with the sales join.
+  const DELIVERED_KG =
+    '(SELECT COALESCE(SUM(kg), 0) FROM deliveries WHERE day_id = d.id)';
+
+  // Amount a customer still owes on sale row `s` at the time of sale.
+  // 'paid' owes nothing, 'credit' owes the full price, 'part' the remainder.
+  const OWED = `CASE s.payment_status
+      WHEN 'credit' THEN s.price
+      WHEN 'part'   THEN MAX(s.price - s.amount_paid, 0)
+      ELSE 0 END`;
+
+  const PAYMENT_STATUSES = ['paid', 'credit', 'part'];
+
+  // Sale row `s` has something sold — gas kg or product units.
+  // Rows still blank on the Sales page match neither.
+  const ENTERED = '(s.kg > 0 OR s.qty > 0)';
+
+  const _round2 = v => Math.round(v * 100) / 100;
+
+  // Purchase cost per kg for day row `d` — taken from the most recent
+  // priced delivery on or before that day. NULL until one is recorded.
+  const COST_PER_KG = `(
+    SELECT dl.cost / dl.kg
+    FROM deliveries dl
+    JOIN days dd ON dd.id = dl.day_id
+    WHERE dl.kg > 0 AND dl.cost > 0 AND dd.date <= d.date
+    ORDER BY dd.date DESC, dl.received_at DESC, dl.id DESC
+    LIMIT 1
+  )`;
+
+  // Grouping key per reporting period, from a day's `date` column.
+  // Weeks run Monday–Sunday and are keyed by their Monday.
+  const PERIOD_KEYS = {
+    week:  "date(date, 'weekday 0', '-6 days')",
+    month: 'substr(date, 1, 7)',
+    year:  'substr(date, 1, 4)',
+  };
+
+  // Operating expenses for day row `d`
+  const EXPENSE_SUM =
+    '(SELECT COALESCE(SUM(amount), 0) FROM expenses WHERE day_id = d.id)';
+
+  // One row per day with stock, revenue and profit totals.
+  // Shared by getHistory and the period aggregations built on it.
+  // price_sum is all revenue; gas_price_sum the part from bulk gas and
+  // units_sum the product units sold.
+  const DAY_TOTALS_SQL = `
+    SELECT
+      d.id,
+      d.date,
+      d.opening_stock,
+      d.unit_price,
+      COALESCE(SUM(s.kg),    0)                       AS kg_sum,
+      COALESCE(SUM(s.price), 0)                       AS price_sum,
+      COALESCE(SUM(CASE WHEN s.product_id IS NULL
+        THEN s.price END), 0)                         AS gas_price_sum,
+      COALESCE(SUM(s.qty),   0)                       AS units_sum,
+      ${DELIVERED_KG}                                 AS delivered_kg,
+      d.opening_stock + ${DELIVERED_KG}
+        - COALESCE(SUM(s.kg), 0)                      AS balance,
+      COUNT(s.id)                                     AS sale_count,
+      SUM(CASE WHEN ${ENTERED} THEN 1 ELSE 0 END)     AS txn_count,
+      ${COST_PER_KG}                                  AS cost_per_kg,
+      ROUND(COALESCE(SUM(s.kg), 0)
+        * COALESCE(${COST_PER_KG}, 0), 2)             AS cogs,
+      ${EXPENSE_SUM}                                  AS expense_sum,
+      d.measured_stock,
+      d.variance,
+      d.closed_at
+    FROM days d
+    LEFT JOIN sales s ON s.day_id = d.id
+    GROUP BY d.id
+  `;
+
   // ── Day management ─────────────────────────────────────────────────────────
 
   /**
    * Get today's day record. Creates it if it doesn't exist.
-   * On creation, carries forward:
-   *   - opening_stock = yesterday's closing balance (opening - kg sold)
+   */
+  function getOrCreateToday() {
+    return getOrCreateDay(DB.today());
+  }
+
+  /**
+   * Get the day record for a date (YYYY-MM-DD). Creates it if it doesn't exist.
+   * On creation, carries forward from the closest earlier day:
+   *   - opening_stock = yesterday's measured stock if it was closed, otherwise
+   *                     its computed balance (opening + delivered - kg sold)
    *   - unit_price    = yesterday's unit price
    * If no previous day exists, both default to 0.
+   * A day created between two others leaves the later one unchanged — it
+   * has no sales yet, so it closes with what it opened with.
    *
    * @returns {Object} day row — { id, date, opening_stock, unit_price, ... }
    */
-  function getOrCreateToday() {
-    const date = DB.today();
-
-    // Check if today already exists
+  function getOrCreateDay(date) {
+    // Check if the day already exists
     const existing = DB.query(
       'SELECT * FROM days WHERE date = ?', [date]
     )[0];
@@ -41,6 +131,8 @@ const DBSales = (() => {
       SELECT
         d.opening_stock,
         d.unit_price,
+        d.measured_stock,
+        ${DELIVERED_KG}         AS delivered_kg,
         COALESCE(SUM(s.kg), 0) AS kg_sold
       FROM days d
       LEFT JOIN sales s ON s.day_id = d.id
@@ -50,17 +142,23 @@ const DBSales = (() => {
       LIMIT 1
     `, [date])[0];
 
-    const opening_stock = prev
-      ? Math.max(0, prev.opening_stock - prev.kg_sold)
-      : 0;
+    const opening_stock = !prev ? 0
+      : prev.measured_stock != null ? prev.measured_stock
+      : Math.max(0, prev.opening_stock + prev.delivered_kg - prev.kg_sold);
     const unit_price = prev ? prev.unit_price : 0;
 
-    // Insert today's record synchronously via the internal run
+    // Insert the day's record synchronously via the internal run
     // We need the new id immediately so we use exec directly
     DB.query(
       `INSERT INTO days (date, opening_stock, unit_price) VALUES (?, ?, ?)`,
       [date, opening_stock, unit_price]
     );
+    // Opening entry of the day's price log
+    DB.query(
+      `INSERT INTO price_changes (day_id, unit_price, effective_at)
+       SELECT id, unit_price, date || ' 00:00:00' FROM days WHERE date = ?`,
+      [date]
+    );
     // Flush to IndexedDB via a no-op run
     // (direct exec above doesn't persist — force persist via run)
     _persist(date, opening_stock, unit_price);
@@ -87,18 +185,94 @@ const DBSales = (() => {
   }
 
   /**
-   * Update the unit price for a day. Triggers price recalc on all sales.
+   * Change the unit price for a day from effectiveAt onwards.
+   * Logs the change (same effective time replaces the earlier entry),
+   * then reprices only sales entered at or after it. Sales entered
+   * earlier keep the price that applied to them.
+   * days.unit_price follows the latest entry — it is what carries forward.
+   *
+   * @param {string} [effectiveAt] — 'YYYY-MM-DD HH:MM:SS' local, defaults to now
    */
-  async function updateUnitPrice(dayId, unitPrice) {
-    // Update the day row
-    await DB.run(
-      'UPDATE days SET unit_price = ? WHERE id = ?',
-      [unitPrice, dayId]
+  async function updateUnitPrice(dayId, unitPrice, effectiveAt = null) {
+    _checkOpen(dayId);
+    await DB.transaction(async tx => {
+      tx(
+        `INSERT INTO price_changes (day_id, unit_price, effective_at)
+         VALUES (?, ?, COALESCE(?, datetime('now','localtime')))
+         ON CONFLICT(day_id, effective_at) DO UPDATE SET
+           unit_price = excluded.unit_price,
+           saved_at   = datetime('now','localtime')`,
+        [dayId, unitPrice, effectiveAt]
+      );
+      tx(
+        `UPDATE days SET unit_price = (
+           SELECT unit_price FROM price_changes
+           WHERE day_id = days.id
+           ORDER BY effective_at DESC, id DESC LIMIT 1
+         ) WHERE id = ?`,
+        [dayId]
+      );
+      _repriceDay(tx, dayId);
+    });
+  }
+
+  /**
+   * Remove an entry from a day's price log and reprice its sales.
+   * The opening entry (the earliest) cannot be removed.
+   */
+  async function deletePriceChange(changeId) {
+    const change = DB.query(
+      'SELECT * FROM price_changes WHERE id = ?', [changeId]
+    )[0];
+    if (!change) return;
+    const first = DB.query(
+      'SELECT id FROM price_changes WHERE day_id = ? ORDER BY effective_at ASC, id ASC LIMIT 1',
+      [change.day_id]
+    )[0];
+    if (first.id === change.id)
+      throw new Error('[DBSales] The opening price cannot be removed.');
+    _checkOpen(change.day_id);
+
+    await DB.transaction(async tx => {
+      tx('DELETE FROM price_changes WHERE id = ?', [changeId]);
+      tx(
+        `UPDATE days SET unit_price = (
+           SELECT unit_price FROM price_changes
+           WHERE day_id = days.id
+           ORDER BY effective_at DESC, id DESC LIMIT 1
+         ) WHERE id = ?`,
+        [change.day_id]
+      );
+      _repriceDay(tx, change.day_id);
+    });
+  }
+
+  // Internal: give every entered gas sale the price in effect at entered_at.
+  // Products keep the catalogue price they were sold at, and so does a
+  // sale entered after its day was over — back-entered on a reopened day,
+  // its entered_at says nothing about when in the day it was sold.
+  function _repriceDay(tx, dayId) {
+    const repriced = `day_id = ? AND entered_at IS NOT NULL AND product_id IS NULL
+      AND substr(entered_at, 1, 10) <= (SELECT date FROM days WHERE id = sales.day_id)`;
+    tx(
+      `UPDATE sales SET unit_price = COALESCE((
+         SELECT pc.unit_price FROM price_changes pc
+         WHERE pc.day_id = sales.day_id AND pc.effective_at <= sales.entered_at
+         ORDER BY pc.effective_at DESC, pc.id DESC LIMIT 1
+       ), unit_price)
+       WHERE ${repriced}`,
+      [dayId]
     );
-    // Recalculate price on every sale for this day
-    await DB.run(
-      'UPDATE sales SET price = ROUND(kg * ?, 2) WHERE day_id = ?',
-      [unitPrice, dayId]
+    tx(`UPDATE sales SET price = ROUND(kg * unit_price, 2) WHERE ${repriced}`, [dayId]);
+  }
+
+  /**
+   * A day's price log, earliest first.
+   */
+  function getPriceChanges(dayId) {
+    return DB.query(
+      'SELECT * FROM price_changes WHERE day_id = ? ORDER BY effective_at ASC, id ASC',
+      [dayId]
     );
   }
 
@@ -106,20 +280,98 @@ const DBSales = (() => {
    * Update opening stock for a day.
    */
   async function updateOpeningStock(dayId, openingStock) {
+    _checkOpen(dayId);
     await DB.run(
-      'UPDATE days SET opening_stock = ? WHERE id = ?',
+      'UPDATE days SET opening_stock = ?, opening_manual = 1 WHERE id = ?',
       [openingStock, dayId]
     );
+    await carryForward(dayId);
+  }
+
+  /**
+   * Go back to the carried-forward opening stock after a manual one.
+   */
+  async function resetOpeningStock(dayId) {
+    _checkOpen(dayId);
+    const day  = DB.query('SELECT date FROM days WHERE id = ?', [dayId])[0];
+    if (!day) return;
+    const prev = DB.query(
+      'SELECT id FROM days WHERE date < ? ORDER BY date DESC LIMIT 1', [day.date]
+    )[0];
+    await DB.run(
+      'UPDATE days SET opening_stock = ?, opening_manual = 0 WHERE id = ?',
+      [prev ? _closingStock(prev.id) : 0, dayId]
+    );
+    await carryForward(dayId);
+  }
+
+  // ── Carry forward ──────────────────────────────────────────────────────────
+
+  // Stock a day hands to the next: its tank reading once closed,
+  // otherwise the computed balance
+  function _closingStock(dayId) {
+    const t = getDayTotals(dayId);
+    return t.measured_stock != null ? t.measured_stock : Math.max(0, _round2(t.balance));
+  }
+
+  /**
+   * Re-carry opening stock through every day after this one, once its
+   * sales, deliveries or opening stock have changed. Days whose opening was
+   * set by hand keep it and pass on their own closing stock. A closed day
+   * that gets a new opening keeps its tank reading; its variance is worked
+   * out again against the new balance.
+   */
+  async function carryForward(dayId) {
+    const day = DB.query('SELECT date FROM days WHERE id = ?', [dayId])[0];
+    if (day) await _carryForwardFrom(day.date);
+  }
+
+  async function _carryForwardFrom(date) {
+    const later = DB.query(
+      `SELECT id, opening_stock, opening_manual, measured_stock
+       FROM days WHERE date > ? ORDER BY date ASC`,
+      [date]
+    );
+    if (!later.length) return;
+    const from = DB.query(
+      'SELECT id FROM days WHERE date <= ? ORDER BY date DESC LIMIT 1', [date]
+    )[0];
+    if (!from) return;
+
+    await DB.transaction(async tx => {
+      let carried = _closingStock(from.id);
+      for (const d of later) {
+        if (!d.opening_manual && Math.abs(d.opening_stock - carried) >= 0.005) {
+          tx('UPDATE days SET opening_stock = ? WHERE id = ?', [carried, d.id]);
+          if (d.measured_stock != null) {
+            const { balance } = getDayTotals(d.id);
+            tx('UPDATE days SET variance = ? WHERE id = ?',
+               [_round2(d.measured_stock - balance), d.id]);
+          }
+        }
+        carried = _closingStock(d.id);
+      }
+    });
   }
 
   // ── Sales line items ───────────────────────────────────────────────────────
 
   /**
    * Get all sales for a day, ordered by seq.
+   * Each row carries customer_name when a customer is attached,
+   * product_name for a product sale and attendant_name once entered by
+   * a signed-in attendant.
    */
   function getSalesForDay(dayId) {
     return DB.query(
-      'SELECT * FROM sales WHERE day_id = ? ORDER BY seq ASC',
+      `SELECT s.*, c.name AS customer_name, p.name AS product_name,
+              a.name AS attendant_name
+       FROM sales s
+       LEFT JOIN customers  c ON c.id = s.customer_id
+       LEFT JOIN products   p ON p.id = s.product_id
+       LEFT JOIN attendants a ON a.id = s.attendant_id
+       WHERE s.day_id = ?
+       ORDER BY s.seq ASC`,
       [dayId]
     );
   }
@@ -127,36 +379,76 @@ const DBSales = (() => {
   /**
    * Add a new sale row to a day.
    * seq is auto-assigned as max(seq) + 1 for that day.
+   * A product sale passes product_id and qty, and leaves kg at 0.
+   * attendant_id is who is signed in; it sticks once kg or qty is set.
    *
    * @returns {{ id, seq }} the new sale's id and seq number
    */
-  async function addSale(dayId, { kg = 0, price = 0, comments = '' } = {}) {
+  async function addSale(dayId, {
+    kg = 0, price = 0, unit_price = 0, comments = '',
+    customer_id = null, payment_status = 'paid', amount_paid = 0,
+    product_id = null, qty = 0, attendant_id = null,
+  } = {}) {
+    _checkPaymentStatus(payment_status);
+    _checkOpen(dayId);
     const seqResult = DB.query(
       'SELECT COALESCE(MAX(seq), 0) + 1 AS next_seq FROM sales WHERE day_id = ?',
       [dayId]
     )[0];
     const seq = seqResult?.next_seq || 1;
 
+    const entered = kg > 0 || qty > 0;
     const result = await DB.run(
-      `INSERT INTO sales (day_id, seq, kg, price, comments)
-       VALUES (?, ?, ?, ?, ?)`,
-      [dayId, seq, kg, price, comments]
+      `INSERT INTO sales (day_id, seq, kg, price, unit_price, comments,
+                          customer_id, payment_status, amount_paid,
+                          product_id, qty, attendant_id, entered_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+               CASE WHEN ? THEN datetime('now','localtime') END)`,
+      [dayId, seq, kg, price, unit_price, comments,
+       customer_id, payment_status, amount_paid, product_id, qty,
+       entered ? attendant_id : null, entered ? 1 : 0]
     );
+    if (kg > 0) await carryForward(dayId);
     return { id: result.lastInsertRowid, seq };
   }
 
   /**
    * Update an existing sale row.
    * Pass only the fields you want to change.
+   * When a blank row gets kg or qty above zero the sale is stamped
+   * entered_at, which decides which price change applies to it, and
+   * attendant_id — whoever entered it, not whoever edits it later.
+   * Neither changes after that, and a sale that already had kg without
+   * an entered_at (imported without a time, or migrated) is not
+   * stamped by being edited.
    */
-  async function updateSale(saleId, { kg, price, comments }) {
+  async function updateSale(saleId, {
+    kg, price, unit_price, comments, customer_id, payment_status, amount_paid,
+    product_id, qty, attendant_id = null,
+  }) {
+    if (payment_status !== undefined) _checkPaymentStatus(payment_status);
+    const sale = DB.query('SELECT day_id FROM sales WHERE id = ?', [saleId])[0];
+    if (sale) _checkOpen(sale.day_id);
+
     // Build partial update — only set fields that were provided
     const parts  = [];
     const params = [];
 
-    if (kg       !== undefined) { parts.push('kg = ?');       params.push(kg); }
-    if (price    !== undefined) { parts.push('price = ?');    params.push(price); }
-    if (comments !== undefined) { parts.push('comments = ?'); params.push(comments); }
+    if (kg             !== undefined) { parts.push('kg = ?');             params.push(kg); }
+    if (price          !== undefined) { parts.push('price = ?');          params.push(price); }
+    if (unit_price     !== undefined) { parts.push('unit_price = ?');     params.push(unit_price); }
+    if (comments       !== undefined) { parts.push('comments = ?');       params.push(comments); }
+    if (customer_id    !== undefined) { parts.push('customer_id = ?');    params.push(customer_id); }
+    if (payment_status !== undefined) { parts.push('payment_status = ?'); params.push(payment_status); }
+    if (amount_paid    !== undefined) { parts.push('amount_paid = ?');    params.push(amount_paid); }
+    if (product_id     !== undefined) { parts.push('product_id = ?');     params.push(product_id); }
+    if (qty            !== undefined) { parts.push('qty = ?');            params.push(qty); }
+    if (kg > 0 || qty > 0) {
+      parts.push(`entered_at = CASE WHEN entered_at IS NULL AND kg = 0 AND qty = 0
+                                    THEN datetime('now','localtime') ELSE entered_at END`);
+      parts.push('attendant_id = COALESCE(attendant_id, ?)');
+      params.push(attendant_id);
+    }
 
     if (!parts.length) return;
     params.push(saleId);
@@ -165,12 +457,14 @@ const DBSales = (() => {
       `UPDATE sales SET ${parts.join(', ')} WHERE id = ?`,
       params
     );
+    if (sale && kg !== undefined) await carryForward(sale.day_id);
   }
 
   /**
    * Delete a sale row and resequence remaining rows.
    */
   async function deleteSale(saleId, dayId) {
+    _checkOpen(dayId);
     await DB.transaction(async tx => {
       tx('DELETE FROM sales WHERE id = ?', [saleId]);
       // Resequence remaining rows for this day
@@ -182,13 +476,328 @@ const DBSales = (() => {
         tx('UPDATE sales SET seq = ? WHERE id = ?', [i + 1, row.id]);
       });
     });
+    await carryForward(dayId);
+  }
+
+  function _checkPaymentStatus(status) {
+    if (!PAYMENT_STATUSES.includes(status))
+      throw new Error(`[DBSales] Unknown payment status: ${status}`);
+  }
+
+  // ── Day close ──────────────────────────────────────────────────────────────
+  // Closing records the tank reading and locks the day: sales, prices,
+  // opening stock and deliveries can't change until it is reopened.
+
+  // Default for the variance_alert_kg setting
+  const VARIANCE_ALERT_KG = 2;
+
+  function isDayClosed(dayId) {
+    return !!DB.query('SELECT closed_at FROM days WHERE id = ?', [dayId])[0]?.closed_at;
+  }
+
+  function _checkOpen(dayId) {
+    if (isDayClosed(dayId))
+      throw new Error('[DBSales] This day is closed — reopen it to make changes');
+  }
+
+  /**
+   * Close a day with the measured stock left in the tank.
+   * variance = measured − computed balance; negative means gas is
+   * unaccounted for (leakage or sales not recorded).
+   * @returns {{ balance, measured_stock, variance }}
+   */
+  async function closeDay(dayId, measuredStock) {
+    const measured = Number(measuredStock);
+    if (!Number.isFinite(measured) || measured < 0)
+      throw new Error('[DBSales] Enter the measured stock in kg');
+    _checkOpen(dayId);
+
+    const { balance } = getDayTotals(dayId);
+    const variance = _round2(measured - balance);
+    await DB.run(
+      `UPDATE days
+       SET measured_stock = ?, variance = ?, closed_at = datetime('now','localtime')
+       WHERE id = ?`,
+      [measured, variance, dayId]
+    );
+    await carryForward(dayId);
+    return { balance, measured_stock: measured, variance };
+  }
+
+  /**
+   * Unlock a closed day. The reading and variance are cleared —
+   * close it again once the corrections are in.
+   */
+  async function reopenDay(dayId) {
+    await DB.run(
+      'UPDATE days SET measured_stock = NULL, variance = NULL, closed_at = NULL WHERE id = ?',
+      [dayId]
+    );
+    await carryForward(dayId);
+  }
+
+  /**
+   * Variance (either way) at which History flags a day, in kg.
+   */
+  function getVarianceAlert() {
+    const value = Number(getSetting('variance_alert_kg'));
+    return value > 0 ? value : VARIANCE_ALERT_KG;
+  }
+
+  // ── Stock forecast ─────────────────────────────────────────────────────────
+  // How long the gas in the tank lasts at the recent selling rate, and
+  // when to order more so it arrives before the tank runs dry.
+
+  // Defaults for the low_stock_kg and reorder_lead_days settings
+  const LOW_STOCK_KG      = 10;
+  const REORDER_LEAD_DAYS = 3;
+
+  // Days of history the selling rate is averaged over
+  const FORECAST_DAYS = 14;
+
+  /**
+   * Stock at or below which the balance shows as low, in kg.
+   */
+  function getLowStockAlert() {
+    const value = Number(getSetting('low_stock_kg'));
+    return value > 0 ? value : LOW_STOCK_KG;
+  }
+
+  /**
+   * Days a delivery takes to arrive after ordering.
+   */
+  function getReorderLeadDays() {
+    const value = Number(getSetting('reorder_lead_days'));
+    return value > 0 ? value : REORDER_LEAD_DAYS;
+  }
+
+  /**
+   * Save the low-stock level and reorder lead time. Pass only what changes.
+   */
+  async function saveStockAlerts({ lowStockKg, leadDays } = {}) {
+    if (lowStockKg !== undefined) {
+      const value = Number(lowStockKg);
+      if (!(value > 0)) throw new Error('[DBSales] Low stock level must be more than 0');
+      await saveSetting('low_stock_kg', String(value));
+    }
+    if (leadDays !== undefined) {
+      const value = Number(leadDays);
+      if (!(value > 0)) throw new Error('[DBSales] Lead time must be at least 1 day');
+      await saveSetting('reorder_lead_days', String(value));
+    }
+  }
+
+  function _shiftDate(date, days) {
+    return DB.query('SELECT date(?, ?) AS d', [date, `${days} days`])[0].d;
+  }
+
+  /**
+   * When the stock left on a day runs out at the recent selling rate.
+   *
+   *   stock         — tank reading if the day is closed, else the balance
+   *   low           — stock at or below the low-stock level
+   *   avg_daily_kg  — kg sold per recorded day over the FORECAST_DAYS
+   *                   before it (the day itself too once closed); days
+   *                   with no record don't count
+   *   days_left     — stock ÷ avg_daily_kg
+   *   stockout_date — the day the tank is expected to run dry
+   *   reorder_date  — stockout_date less the lead time
+   *   reorder       — days_left is under the lead time: order now
+   *
+   * The forecast fields are null until there are sales to average.
+   */
+  function getStockForecast(dayId) {
+    const date   = DB.query('SELECT date FROM days WHERE id = ?', [dayId])[0]?.date;
+    const totals = getDayTotals(dayId);
+    const stock  = totals.closed_at ? totals.measured_stock : totals.balance;
+    const lead   = getReorderLeadDays();
+
+    const forecast = {
+      stock,
+      low:           stock <= getLowStockAlert(),
+      avg_daily_kg:  null,
+      days_used:     0,
+      days_left:     null,
+      stockout_date: null,
+      reorder_date:  null,
+      reorder:       false,
+      lead_days:     lead,
+    };
+    if (!date) return forecast;
+
+    const days = getHistory({
+      from: _shiftDate(date, -FORECAST_DAYS),
+      to:   totals.closed_at ? date : _shiftDate(date, -1),
+    });
+    const sold = days.reduce((sum, d) => sum + d.kg_sum, 0);
+    forecast.days_used = days.length;
+    if (!(sold > 0)) return forecast;
+
+    const avg  = sold / days.length;
+    const left = Math.max(stock, 0) / avg;
+    forecast.avg_daily_kg  = _round2(avg);
+    forecast.days_left     = Math.round(left * 10) / 10;
+    forecast.stockout_date = _shiftDate(date, Math.floor(left));
+    forecast.reorder_date  = _shiftDate(date, Math.max(Math.floor(left - lead), 0));
+    forecast.reorder       = left < lead;
+    return forecast;
+  }
+
+  // ── Customers ──────────────────────────────────────────────────────────────
+
+  /**
+   * All customers, alphabetical.
+   */
+  function getCustomers() {
+    return DB.query('SELECT * FROM customers ORDER BY name COLLATE NOCASE ASC');
+  }
+
+  function getCustomer(customerId) {
+    return DB.query('SELECT * FROM customers WHERE id = ?', [customerId])[0] || null;
+  }
+
+  /**
+   * Look up a customer by name (case-insensitive), creating them if new.
+   * @returns {number|null} customer id, or null for a blank name
+   */
+  async function findOrCreateCustomer(name) {
+    name = (name || '').trim();
+    if (!name) return null;
+    const existing = DB.query(
+      'SELECT id FROM customers WHERE name = ? COLLATE NOCASE', [name]
+    )[0];
+    if (existing) return existing.id;
+    const result = await DB.run('INSERT INTO customers (name) VALUES (?)', [name]);
+    return result.lastInsertRowid;
+  }
+
+  async function updateCustomer(customerId, { name, phone }) {
+    const parts  = [];
+    const params = [];
+
+    if (name  !== undefined) { parts.push('name = ?');  params.push(name.trim()); }
+    if (phone !== undefined) { parts.push('phone = ?'); params.push(phone.trim()); }
+
+    if (!parts.length) return;
+    params.push(customerId);
+
+    await DB.run(
+      `UPDATE customers SET ${parts.join(', ')} WHERE id = ?`,
+      params
+    );
+  }
+
+  // ── Debts ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Record a repayment from a customer. paid_on defaults to today.
+   * @returns {number} the new repayment's id
+   */
+  async function addRepayment(customerId, { amount = 0, paid_on = null, note = '' } = {}) {
+    const result = await DB.run(
+      `INSERT INTO repayments (customer_id, amount, paid_on, note)
+       VALUES (?, ?, ?, ?)`,
+      [customerId, amount, paid_on || DB.today(), note]
+    );
+    return result.lastInsertRowid;
+  }
+
+  async function deleteRepayment(repaymentId) {
+    await DB.run('DELETE FROM repayments WHERE id = ?', [repaymentId]);
+  }
+
+  /**
+   * Outstanding balance per customer across all days, largest first.
+   * outstanding = owed on credit / part-paid sales − repayments.
+   * Settled customers are left out unless includeSettled is set.
+   */
+  function getDebtors({ includeSettled = false } = {}) {
+    return DB.query(`
+      SELECT
+        c.id,
+        c.name,
+        c.phone,
+        COALESCE(o.owed, 0)                          AS owed,
+        COALESCE(r.repaid, 0)                        AS repaid,
+        COALESCE(o.owed, 0) - COALESCE(r.repaid, 0)  AS outstanding,
+        COALESCE(o.credit_count, 0)                  AS credit_count,
+        o.last_date
+      FROM customers c
+      LEFT JOIN (
+        SELECT
+          s.customer_id,
+          SUM(${OWED}) AS owed,
+          COUNT(s.id)  AS credit_count,
+          MAX(d.date)  AS last_date
+        FROM sales s
+        JOIN days d ON d.id = s.day_id
+        WHERE s.payment_status != 'paid'
+        GROUP BY s.customer_id
+      ) o ON o.customer_id = c.id
+      LEFT JOIN (
+        SELECT customer_id, SUM(amount) AS repaid
+        FROM repayments
+        GROUP BY customer_id
+      ) r ON r.customer_id = c.id
+      ${includeSettled ? '' : 'WHERE COALESCE(o.owed, 0) - COALESCE(r.repaid, 0) > 0.005'}
+      ORDER BY outstanding DESC, c.name COLLATE NOCASE ASC
+    `);
+  }
+
+  /**
+   * A customer's credit sales and repayments in date order.
+   * kind is 'sale' or 'repayment'; owed is negative for repayments.
+   */
+  function getCustomerLedger(customerId) {
+    return DB.query(`
+      SELECT
+        'sale'           AS kind,
+        s.id,
+        d.date,
+        s.seq,
+        s.kg,
+        s.product_id,
+        s.qty,
+        p.name           AS product_name,
+        s.price          AS amount,
+        ${OWED}          AS owed,
+        s.payment_status,
+        s.comments       AS note,
+        s.saved_at
+      FROM sales s
+      JOIN days d           ON d.id = s.day_id
+      LEFT JOIN products p  ON p.id = s.product_id
+      WHERE s.customer_id = ? AND s.payment_status != 'paid'
+      UNION ALL
+      SELECT
+        'repayment',
+        r.id,
+        r.paid_on,
+        NULL,
+        NULL,
+        NULL,
+        NULL,
+        NULL,
+        r.amount,
+        -r.amount,
+        NULL,
+        r.note,
+        r.saved_at
+      FROM repayments r
+      WHERE r.customer_id = ?
+      ORDER BY date ASC, saved_at ASC
+    `, [customerId, customerId]);
   }
 
   // ── Totals ─────────────────────────────────────────────────────────────────
 
   /**
    * Get aggregated totals for a day.
-   * @returns {{ kg_sum, price_sum, balance, opening_stock, unit_price }}
+   * Balance = opening stock + delivered kg − kg sold.
+   * measured_stock, variance and closed_at are set once the day is closed.
+   * units_sum counts product units sold; price_sum includes their revenue.
+   * @returns {{ kg_sum, price_sum, units_sum, delivered_kg, balance, opening_stock,
+   *             unit_price, measured_stock, variance, closed_at }}
    */
   function getDayTotals(dayId) {
     const result = DB.query(`
@@ -197,7 +806,12 @@ const DBSales = (() => {
         d.unit_price,
         COALESCE(SUM(s.kg),    0) AS kg_sum,
         COALESCE(SUM(s.price), 0) AS price_sum,
-        d.opening_stock - COALESCE(SUM(s.kg), 0) AS balance
+        COALESCE(SUM(s.qty),   0) AS units_sum,
+        ${DELIVERED_KG} AS delivered_kg,
+        d.opening_stock + ${DELIVERED_KG} - COALESCE(SUM(s.kg), 0) AS balance,
+        d.measured_stock,
+        d.variance,
+        d.closed_at
       FROM days d
       LEFT JOIN sales s ON s.day_id = d.id
       WHERE d.id = ?
@@ -206,39 +820,356 @@ const DBSales = (() => {
 
     return result || {
       opening_stock: 0, unit_price: 0,
-      kg_sum: 0, price_sum: 0, balance: 0
+      kg_sum: 0, price_sum: 0, units_sum: 0, delivered_kg: 0, balance: 0,
+      measured_stock: null, variance: null, closed_at: null,
     };
   }
 
   // ── History ────────────────────────────────────────────────────────────────
 
+  // filterHistory option → condition on the day totals row
+  const HISTORY_FILTERS = {
+    from:         'h.date >= ?',
+    to:           'h.date <= ?',
+    minRevenue:   'h.price_sum >= ?',
+    maxRevenue:   'h.price_sum <= ?',
+    minKg:        'h.kg_sum >= ?',
+    maxKg:        'h.kg_sum <= ?',
+    minUnitPrice: 'h.unit_price >= ?',
+    maxUnitPrice: 'h.unit_price <= ?',
+    maxBalance:   'h.balance <= ?',
+    minVariance:  'ABS(h.variance) >= ?',
+  };
+
+  // LIKE pattern matching text anywhere, with % and _ taken literally
+  function _likePattern(text) {
+    return `%${text.replace(/[\\%_]/g, c => '\\' + c)}%`;
+  }
+
   /**
    * Get all days with their totals, most recent first.
-   * Used by the history page.
+   * Used by the history page. from / to (YYYY-MM-DD, inclusive) narrow
+   * the range.
+   *
+   * Profit columns:
+   *   cogs         = kg sold × cost_per_kg (0 while cost is unknown)
+   *   gross_margin = revenue − cogs
+   *   net_profit   = gross_margin − expenses
+   */
+  function getHistory({ from = null, to = null } = {}) {
+    return filterHistory({ from, to });
+  }
+
+  /**
+   * Days matching every filter given, same rows as getHistory.
+   * Null, undefined and '' filters are ignored.
+   *
+   *   from, to                   — date range, inclusive
+   *   minRevenue, maxRevenue     — day revenue
+   *   minKg, maxKg               — kg sold
+   *   minUnitPrice, maxUnitPrice — the day's unit price
+   *   maxBalance                 — closing balance at or below (low stock)
+   *   minVariance                — closed with a variance this large, either way
+   *   text                       — a sale's comments or customer name contains it
+   */
+  function filterHistory(filters = {}) {
+    const where  = [];
+    const params = [];
+
+    Object.entries(HISTORY_FILTERS).forEach(([key, condition]) => {
+      const value = filters[key];
+      if (value == null || value === '') return;
+      where.push(condition);
+      params.push(value);
+    });
+
+    const text = (filters.text || '').trim();
+    if (text) {
+      const pattern = _likePattern(text);
+      where.push(`EXISTS (
+        SELECT 1 FROM sales s
+        LEFT JOIN customers c ON c.id = s.customer_id
+        WHERE s.day_id = h.id AND ${ENTERED}
+          AND (s.comments LIKE ? ESCAPE '\\' OR c.name LIKE ? ESCAPE '\\')
+      )`);
+      params.push(pattern, pattern);
+    }
+
+    return DB.query(`
+      SELECT
+        h.*,
+        h.price_sum - h.cogs                 AS gross_margin,
+        h.price_sum - h.cogs - h.expense_sum AS net_profit
+      FROM (${DAY_TOTALS_SQL}) h
+      ${where.length ? 'WHERE ' + where.join('\n        AND ') : ''}
+      ORDER BY h.date DESC
+    `, params);
+  }
+
+  /**
+   * Sales whose comments or customer name contain text, across all days,
+   * most recent first. Case-insensitive for plain letters.
+   * @param {string} text
+   * @param {number} limit
    */
-  function getHistory() {
+  function searchSales(text, limit = 200) {
+    text = (text || '').trim();
+    if (!text) return [];
+    const pattern = _likePattern(text);
     return DB.query(`
       SELECT
-        d.id,
+        s.id,
+        s.day_id,
         d.date,
-        d.opening_stock,
-        d.unit_price,
-        COALESCE(SUM(s.kg),    0)                       AS kg_sum,
-        COALESCE(SUM(s.price), 0)                       AS price_sum,
-        d.opening_stock - COALESCE(SUM(s.kg), 0)        AS balance,
-        COUNT(s.id)                                     AS sale_count
-      FROM days d
-      LEFT JOIN sales s ON s.day_id = d.id
-      GROUP BY d.id
-      ORDER BY d.date DESC
+        s.seq,
+        s.kg,
+        s.qty,
+        p.name               AS product_name,
+        s.price,
+        s.payment_status,
+        s.comments,
+        COALESCE(c.name, '') AS customer_name
+      FROM sales s
+      JOIN days d           ON d.id = s.day_id
+      LEFT JOIN customers c ON c.id = s.customer_id
+      LEFT JOIN products  p ON p.id = s.product_id
+      WHERE ${ENTERED}
+        AND (s.comments LIKE ? ESCAPE '\\' OR c.name LIKE ? ESCAPE '\\')
+      ORDER BY d.date DESC, s.seq ASC
+      LIMIT ?
+    `, [pattern, pattern, limit]);
+  }
+
+  /**
+   * Every sale with kg or qty entered between two dates (inclusive,
+   * YYYY-MM-DD; null for open-ended), oldest first. Used by exports.
+   * product_name is '' for bulk gas.
+   */
+  function getSalesInRange(from = null, to = null) {
+    return DB.query(`
+      SELECT
+        d.date,
+        s.seq,
+        COALESCE(p.name, '') AS product_name,
+        s.kg,
+        s.qty,
+        s.unit_price,
+        s.price,
+        s.payment_status,
+        s.amount_paid,
+        COALESCE(c.name, '') AS customer_name,
+        s.comments,
+        s.entered_at
+      FROM sales s
+      JOIN days d           ON d.id = s.day_id
+      LEFT JOIN customers c ON c.id = s.customer_id
+      LEFT JOIN products  p ON p.id = s.product_id
+      WHERE ${ENTERED}
+        AND (? IS NULL OR d.date >= ?)
+        AND (? IS NULL OR d.date <= ?)
+      ORDER BY d.date ASC, s.seq ASC
+    `, [from, from, to, to]);
+  }
+
+  /**
+   * Totals per week, month or year, most recent first.
+   * period is the group key — week: Monday 'YYYY-MM-DD', month: 'YYYY-MM',
+   * year: 'YYYY'.
+   *
+   * avg_unit_price is gas revenue ÷ kg sold. Best and worst days are by
+   * revenue, among days with at least one sale.
+   *
+   * @param {'week'|'month'|'year'} period
+   */
+  function getPeriodTotals(period = 'month') {
+    const key = PERIOD_KEYS[period];
+    if (!key) throw new Error(`[DBSales] Unknown period: ${period}`);
+
+    return DB.query(`
+      WITH h AS (
+        SELECT t.*, ${key} AS period FROM (${DAY_TOTALS_SQL}) t
+      ),
+      ranked AS (
+        SELECT
+          period, date, price_sum,
+          ROW_NUMBER() OVER (PARTITION BY period ORDER BY price_sum DESC, date ASC) AS best_rank,
+          ROW_NUMBER() OVER (PARTITION BY period ORDER BY price_sum ASC,  date ASC) AS worst_rank
+        FROM h
+        WHERE txn_count > 0
+      )
+      SELECT
+        h.period,
+        COUNT(h.id)                               AS day_count,
+        SUM(h.kg_sum)                             AS kg_sum,
+        SUM(h.price_sum)                          AS price_sum,
+        SUM(h.gas_price_sum)                      AS gas_price_sum,
+        SUM(h.units_sum)                          AS units_sum,
+        CASE WHEN SUM(h.kg_sum) > 0
+          THEN SUM(h.gas_price_sum) / SUM(h.kg_sum) END AS avg_unit_price,
+        SUM(h.txn_count)                          AS txn_count,
+        SUM(h.cogs)                               AS cogs,
+        SUM(h.expense_sum)                        AS expense_sum,
+        SUM(h.price_sum - h.cogs)                 AS gross_margin,
+        SUM(h.price_sum - h.cogs - h.expense_sum) AS net_profit,
+        b.date                                    AS best_date,
+        b.price_sum                               AS best_revenue,
+        w.date                                    AS worst_date,
+        w.price_sum                               AS worst_revenue
+      FROM h
+      LEFT JOIN ranked b ON b.period = h.period AND b.best_rank  = 1
+      LEFT JOIN ranked w ON w.period = h.period AND w.worst_rank = 1
+      GROUP BY h.period
+      ORDER BY h.period DESC
     `);
   }
 
   /**
-   * Delete a day and all its sales (CASCADE handles the sales rows).
+   * Delete a day with all its child rows (CASCADE handles sales, deliveries,
+   * price changes and expenses). A snapshot is kept first.
    */
   async function deleteDay(dayId) {
+    const day = DB.query('SELECT date FROM days WHERE id = ?', [dayId])[0];
+    if (!day) return;
+    await DB.snapshot(`Before deleting ${day.date}`);
     await DB.run('DELETE FROM days WHERE id = ?', [dayId]);
+    // The next day now carries from the one before the deleted day
+    await _carryForwardFrom(day.date);
+  }
+
+  // ── Audit log ──────────────────────────────────────────────────────────────
+  // Written by triggers (migration v7) — nothing here inserts into it.
+
+  function _auditEntry(row) {
+    return {
+      ...row,
+      old_values: row.old_values ? JSON.parse(row.old_values) : null,
+      new_values: row.new_values ? JSON.parse(row.new_values) : null,
+    };
+  }
+
+  /**
+   * Every logged change to a date's day record and its sales, newest first.
+   * Entries for a day that was deleted and recorded again are included.
+   * @returns {Array<{ id, table_name, row_id, date, action, old_values, new_values, at }>}
+   */
+  function getAuditLog(date) {
+    return DB.query(
+      'SELECT * FROM audit_log WHERE date = ? ORDER BY id DESC',
+      [date]
+    ).map(_auditEntry);
+  }
+
+  /**
+   * The most recent deleted sale of a day that is not back yet.
+   * Empty rows are ignored — there is nothing to undo.
+   * @returns {Object|null} audit entry; old_values holds the sale
+   */
+  function getLastDeletedSale(dayId) {
+    const row = DB.query(
+      `SELECT a.* FROM audit_log a
+       WHERE a.table_name = 'sales' AND a.action = 'delete'
+         AND json_extract(a.old_values, '$.day_id') = ?
+         AND NOT EXISTS (SELECT 1 FROM sales WHERE id = a.row_id)
+         AND (json_extract(a.old_values, '$.kg') > 0
+              OR json_extract(a.old_values, '$.qty') > 0
+              OR json_extract(a.old_values, '$.comments') != ''
+              OR json_extract(a.old_values, '$.customer_id') IS NOT NULL)
+       ORDER BY a.id DESC
+       LIMIT 1`,
+      [dayId]
+    )[0];
+    return row ? _auditEntry(row) : null;
+  }
+
+  /**
+   * Put a deleted sale back with its old id, at its old position.
+   * Rows after it move down one.
+   */
+  async function undoDeleteSale(auditId) {
+    const entry = DB.query(
+      "SELECT * FROM audit_log WHERE id = ? AND table_name = 'sales' AND action = 'delete'",
+      [auditId]
+    )[0];
+    if (!entry) throw new Error('[DBSales] Nothing to undo');
+    const s = JSON.parse(entry.old_values);
+    if (DB.query('SELECT 1 FROM sales WHERE id = ?', [s.id]).length)
+      throw new Error('[DBSales] That sale is already back');
+    if (!DB.query('SELECT 1 FROM days WHERE id = ?', [s.day_id]).length)
+      throw new Error('[DBSales] The day of that sale has been deleted');
+    _checkOpen(s.day_id);
+
+    await DB.transaction(async tx => {
+      tx('UPDATE sales SET seq = seq + 1 WHERE day_id = ? AND seq >= ?', [s.day_id, s.seq]);
+      tx(
+        `INSERT INTO sales (id, day_id, seq, kg, price, unit_price, comments, customer_id,
+                            payment_status, amount_paid, entered_at, saved_at,
+                            product_id, qty, attendant_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT id FROM customers WHERE id = ?), ?, ?, ?, ?,
+                 (SELECT id FROM products WHERE id = ?), ?,
+                 (SELECT id FROM attendants WHERE id = ?))`,
+        [s.id, s.day_id, s.seq, s.kg, s.price, s.unit_price, s.comments, s.customer_id,
+         s.payment_status, s.amount_paid, s.entered_at, s.saved_at,
+         s.product_id ?? null, s.qty ?? 0, s.attendant_id ?? null]
+      );
+    });
+    await carryForward(s.day_id);
+    return s;
+  }
+
+  // ── Receipts ───────────────────────────────────────────────────────────────
+
+  /**
+   * Receipt number for a sale — date and seq, e.g. 20260203-007.
+   */
+  function receiptNumber(date, seq) {
+    return `${date.replace(/-/g, '')}-${String(seq).padStart(3, '0')}`;
+  }
+
+  /**
+   * A sale as its receipt shows it, or null for a missing or empty row.
+   * prints counts receipts already printed; number is the first one's,
+   * or a new one if none has been.
+   * @returns {{ sale, date, number, prints, first_printed_at }|null}
+   */
+  function getReceipt(saleId) {
+    const sale = DB.query(
+      `SELECT s.*, c.name AS customer_name, p.name AS product_name,
+              a.name AS attendant_name, d.date
+       FROM sales s
+       JOIN days d ON d.id = s.day_id
+       LEFT JOIN customers  c ON c.id = s.customer_id
+       LEFT JOIN products   p ON p.id = s.product_id
+       LEFT JOIN attendants a ON a.id = s.attendant_id
+       WHERE s.id = ? AND ${ENTERED}`,
+      [saleId]
+    )[0];
+    if (!sale) return null;
+
+    const printed = DB.query(
+      'SELECT number, printed_at FROM receipts WHERE sale_id = ? ORDER BY id ASC',
+      [saleId]
+    );
+    return {
+      sale,
+      date:             sale.date,
+      number:           printed[0]?.number || receiptNumber(sale.date, sale.seq),
+      prints:           printed.length,
+      first_printed_at: printed[0]?.printed_at || null,
+    };
+  }
+
+  /**
+   * Log a printed receipt.
+   * @returns the sale's getReceipt() including this print
+   */
+  async function recordReceiptPrint(saleId) {
+    const receipt = getReceipt(saleId);
+    if (!receipt) throw new Error('[DBSales] No sale to print a receipt for');
+    await DB.run(
+      'INSERT INTO receipts (sale_id, number) VALUES (?, ?)',
+      [saleId, receipt.number]
+    );
+    return getReceipt(saleId);
   }
 
   // ── Company profile ────────────────────────────────────────────────────────
@@ -278,19 +1209,57 @@ const DBSales = (() => {
   return {
     // Day
     getOrCreateToday,
+    getOrCreateDay,
     getDay,
     updateUnitPrice,
+    deletePriceChange,
+    getPriceChanges,
     updateOpeningStock,
+    resetOpeningStock,
+    carryForward,
+    // Day close
+    isDayClosed,
+    closeDay,
+    reopenDay,
+    getVarianceAlert,
+    // Stock forecast
+    getLowStockAlert,
+    getReorderLeadDays,
+    saveStockAlerts,
+    getStockForecast,
     // Sales
     getSalesForDay,
     addSale,
     updateSale,
     deleteSale,
+    // Customers
+    getCustomers,
+    getCustomer,
+    findOrCreateCustomer,
+    updateCustomer,
+    // Debts
+    addRepayment,
+    deleteRepayment,
+    getDebtors,
+    getCustomerLedger,
     // Totals
     getDayTotals,
     // History
     getHistory,
+    filterHistory,
+    searchSales,
+    getSalesInRange,
+    getPeriodTotals,
     deleteDay,
+    // Audit
+    getAuditLog,
+    getLastDeletedSale,
+    undoDeleteSale,
+    // Receipts
+    receiptNumber,
+    getReceipt,
+    recordReceiptPrint,
+
     // Company
     getCompany,
     saveCompany,
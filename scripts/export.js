@@ -0,0 +1,322 @@
+/*
+ * Gnoke Gas — export.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Spreadsheet exports for the accountant — CSV and .xlsx, built in the
+ * browser with no libraries and no network.
+ *
+ * Two levels:
+ *   days  — one line per day   (rows from DBSales.getHistory)
+ *   sales — one line per sale  (rows from DBSales.getSalesInRange)
+ *
+ * Amounts are plain numbers, never formatted with the currency symbol,
+ * so they add up in any spreadsheet. Column headings name the weight
+ * unit set on the Help page.
+ *
+ * Depends on db-core.js, format.js
+ */
+
+const DataExport = (() => {
+
+  const round2 = v => Math.round((Number(v) || 0) * 100) / 100;
+
+  const PAY_LABELS = { paid: 'Paid', credit: 'Credit', part: 'Part-paid' };
+
+  // { label, type, value(row) } — type decides how a cell is written;
+  // {unit} in a label is the weight unit (see _label)
+  const DAY_COLUMNS = [
+    { label: 'Date',             type: 'text',   value: d => d.date },
+    { label: 'Opening {unit}',   type: 'number', value: d => round2(d.opening_stock) },
+    { label: 'Delivered {unit}', type: 'number', value: d => round2(d.delivered_kg) },
+    { label: 'Sold {unit}',      type: 'number', value: d => round2(d.kg_sum) },
+    { label: 'Units sold',       type: 'number', value: d => d.units_sum || 0 },
+    { label: 'Balance {unit}',   type: 'number', value: d => round2(d.balance) },
+    { label: 'Measured {unit}',  type: 'number',
+      value: d => d.measured_stock == null ? '' : round2(d.measured_stock) },
+    { label: 'Variance {unit}',  type: 'number',
+      value: d => d.variance == null ? '' : round2(d.variance) },
+    { label: 'Unit price',       type: 'number', value: d => round2(d.unit_price) },
+    { label: 'Revenue',          type: 'number', value: d => round2(d.price_sum) },
+    { label: 'Sales',            type: 'number', value: d => d.txn_count || 0 },
+    { label: 'Gas cost',         type: 'number', value: d => round2(d.cogs) },
+    { label: 'Expenses',         type: 'number', value: d => round2(d.expense_sum) },
+    { label: 'Net profit',       type: 'number', value: d => round2(d.net_profit) },
+  ];
+
+  const SALE_COLUMNS = [
+    { label: 'Date',        type: 'text',   value: s => s.date },
+    { label: 'Seq',         type: 'number', value: s => s.seq },
+    { label: 'Time',        type: 'text',   value: s => (s.entered_at || '').slice(11, 16) },
+    { label: 'Product',     type: 'text',   value: s => s.product_name || 'Gas' },
+    { label: '{unit}',      type: 'number', value: s => round2(s.kg) },
+    { label: 'Qty',         type: 'number', value: s => s.qty || 0 },
+    { label: 'Unit price',  type: 'number', value: s => round2(s.unit_price) },
+    { label: 'Price',       type: 'number', value: s => round2(s.price) },
+    { label: 'Payment',     type: 'text',   value: s => PAY_LABELS[s.payment_status] || s.payment_status },
+    { label: 'Amount paid', type: 'number',
+      value: s => round2(s.payment_status === 'part' ? s.amount_paid
+                       : s.payment_status === 'credit' ? 0 : s.price) },
+    { label: 'Customer',    type: 'text',   value: s => s.customer_name || '' },
+    { label: 'Comments',    type: 'text',   value: s => s.comments || '' },
+  ];
+
+  // 'Opening {unit}' → 'Opening kg', '{unit}' → 'Kg'
+  function _label(column) {
+    const label = column.label.replace('{unit}', Format.unit());
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  // ── CSV ────────────────────────────────────────────────────────────────────
+
+  function _csvField(value, type) {
+    let str = value == null ? '' : String(value);
+    // A text cell starting with = + - @ would run as a formula in Excel
+    if (type === 'text' && /^[=+\-@]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /**
+   * RFC 4180 CSV with a header line and CRLF line endings.
+   * Starts with a BOM so Excel reads it as UTF-8.
+   */
+  function csv(columns, rows) {
+    const lines = [columns.map(c => _csvField(_label(c), 'text')).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(c => _csvField(c.value(row), c.type)).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  // ── XLSX ───────────────────────────────────────────────────────────────────
+  // A workbook is a zip of XML parts. Entries are stored uncompressed —
+  // exports are small and this keeps the writer short.
+
+  const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+  const _encoder = new TextEncoder();
+
+  const _CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function _crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++)
+      crc = _CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function _zip(files) {
+    const now  = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [], central = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+      const nameBytes = _encoder.encode(name);
+      const bytes     = _encoder.encode(data);
+      const crc       = _crc32(bytes);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);             // version needed
+      local.setUint16(6, 0x0800, true);         // UTF-8 names
+      local.setUint16(8, 0, true);              // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, bytes.length, true);
+      local.setUint32(22, bytes.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local, nameBytes, bytes);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014B50, true);
+      entry.setUint16(4, 20, true);             // version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, bytes.length, true);
+      entry.setUint32(24, bytes.length, true);
+      entry.setUint16(28, nameBytes.length, true);
+      entry.setUint32(42, offset, true);        // remaining fields stay 0
+      central.push(entry, nameBytes);
+
+      offset += 30 + nameBytes.length + bytes.length;
+    });
+
+    const centralSize = central.reduce((s, p) => s + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: XLSX_TYPE });
+  }
+
+  const _xml = str => String(str)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+
+  function _colName(i) {
+    let name = '';
+    for (i++; i > 0; i = Math.floor((i - 1) / 26))
+      name = String.fromCharCode(65 + (i - 1) % 26) + name;
+    return name;
+  }
+
+  function _cell(ref, value, type, style = 0) {
+    const s = style ? ` s="${style}"` : '';
+    if (type === 'number' && value !== '' && Number.isFinite(Number(value)))
+      return `<c r="${ref}"${s}><v>${Number(value)}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${_xml(value ?? '')}</t></is></c>`;
+  }
+
+  function _sheetXml(columns, rows) {
+    const header = columns.map((c, i) => _cell(`${_colName(i)}1`, _label(c), 'text', 1)).join('');
+    const body   = rows.map((row, r) =>
+      `<row r="${r + 2}">${
+        columns.map((c, i) => _cell(`${_colName(i)}${r + 2}`, c.value(row), c.type)).join('')
+      }</row>`
+    ).join('');
+    const cols = columns.map((c, i) =>
+      `<col min="${i + 1}" max="${i + 1}" width="${Math.max(10, _label(c).length + 2)}" customWidth="1"/>`
+    ).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      + `<cols>${cols}</cols>`
+      + `<sheetData><row r="1">${header}</row>${body}</sheetData>`
+      + '</worksheet>';
+  }
+
+  /**
+   * Build an .xlsx workbook.
+   * @param {Array<{name, columns, rows}>} sheets
+   * @returns {Blob}
+   */
+  function xlsx(sheets) {
+    const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const files = [
+      { name: '[Content_Types].xml', data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+          ).join('')
+        + '</Types>' },
+      { name: '_rels/.rels', data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + `<Relationship Id="rId1" Type="${REL}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>' },
+      { name: 'xl/workbook.xml', data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${REL}"><sheets>`
+        + sheets.map((s, i) =>
+            // Sheet names: max 31 chars, none of [ ] : * ? / \
+            `<sheet name="${_xml(s.name.replace(/[[\]:*?/\\]/g, '').slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+          ).join('')
+        + '</sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) =>
+            `<Relationship Id="rId${i + 1}" Type="${REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+          ).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="${REL}/styles" Target="styles.xml"/>`
+        + '</Relationships>' },
+      // Style 1 = bold, for the header row
+      { name: 'xl/styles.xml', data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>'
+        + '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill>'
+        + '<fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>' },
+      ...sheets.map((s, i) => ({
+        name: `xl/worksheets/sheet${i + 1}.xml`,
+        data: _sheetXml(s.columns, s.rows),
+      })),
+    ];
+    return _zip(files);
+  }
+
+  // ── Download ───────────────────────────────────────────────────────────────
+
+  function download(content, filename, type = 'text/csv;charset=utf-8') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url  = URL.createObjectURL(blob);
+    const a    = Object.assign(document.createElement('a'), { href: url, download: filename });
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Download days and/or sales for a date range.
+   * @param {'days'|'sales'|'xlsx'} kind — xlsx holds both as two sheets
+   * @param {{ days?: Array, sales?: Array }} data
+   * @param {string} baseName — file name without extension
+   */
+  function exportAs(kind, { days = [], sales = [] }, baseName) {
+    // Accountants read top to bottom — oldest first
+    const dayRows = [...days].sort((a, b) => a.date.localeCompare(b.date));
+    if (kind === 'days')  return download(csv(DAY_COLUMNS, dayRows), `${baseName}-days.csv`);
+    if (kind === 'sales') return download(csv(SALE_COLUMNS, sales),  `${baseName}-sales.csv`);
+    if (kind === 'xlsx') {
+      return download(xlsx([
+        { name: 'Days',  columns: DAY_COLUMNS,  rows: dayRows },
+        { name: 'Sales', columns: SALE_COLUMNS, rows: sales },
+      ]), `${baseName}.xlsx`);
+    }
+    throw new Error(`[DataExport] Unknown export: ${kind}`);
+  }
+
+  /**
+   * File name stem for a range, e.g. gnoke-gas-2026-02-01-to-2026-02-28.
+   */
+  function rangeName(from, to) {
+    if (!from && !to) return `gnoke-gas-all-${DB.today()}`;
+    if (from === to)  return `gnoke-gas-${from}`;
+    return `gnoke-gas-${from || 'start'}-to-${to || DB.today()}`;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    DAY_COLUMNS,
+    SALE_COLUMNS,
+    csv,
+    xlsx,
+    download,
+    exportAs,
+    rangeName,
+  };
+
+})();
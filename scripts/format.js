@@ -0,0 +1,270 @@
+/*
+ * Gnoke Gas — format.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Every amount, weight and date the app shows goes through here, shaped
+ * by the locale settings on the Help page:
+ *
+ *   currency_symbol — shown on amounts ('₦', 'GH₵', 'F CFA' ...)
+ *   currency_code   — ISO 4217; decides where the symbol goes for the locale
+ *   locale          — digit grouping, decimal mark, day and month names
+ *   decimal_places  — most decimals shown on an amount (whole amounts show none)
+ *   date_format     — one of DATE_FORMATS
+ *   weight_unit     — label only; stock is always stored in the same unit
+ *
+ * Values are read from settings once and cached — call reload() after
+ * they change. Stored data is never formatted.
+ *
+ * Depends on db-core.js
+ */
+
+const Format = (() => {
+
+  const DEFAULTS = {
+    currency_symbol: '₦',
+    currency_code:   'NGN',
+    locale:          'en-NG',
+    decimal_places:  '2',
+    date_format:     'medium',
+    weight_unit:     'kg',
+  };
+
+  // Offered on the Help page — the app is used across West Africa
+  const LOCALES = {
+    'en-NG': 'English (Nigeria)',
+    'en-GH': 'English (Ghana)',
+    'en-LR': 'English (Liberia)',
+    'en-SL': 'English (Sierra Leone)',
+    'en-GM': 'English (Gambia)',
+    'fr-CI': 'Français (Côte d’Ivoire)',
+    'fr-SN': 'Français (Sénégal)',
+    'fr-BJ': 'Français (Bénin)',
+    'fr-TG': 'Français (Togo)',
+    'fr-BF': 'Français (Burkina Faso)',
+    'fr-ML': 'Français (Mali)',
+    'fr-NE': 'Français (Niger)',
+    'fr-CM': 'Français (Cameroun)',
+  };
+
+  // Stored value → example shown when picking
+  const DATE_FORMATS = {
+    'medium':     'Thu, 26 Feb 2026',
+    'dd/mm/yyyy': '26/02/2026',
+    'mm/dd/yyyy': '02/26/2026',
+    'yyyy-mm-dd': '2026-02-26',
+  };
+
+  const MAX_DECIMALS = 3;
+
+  let _settings = null;
+  let _money    = null;
+  let _numbers  = {};
+
+  function _get() {
+    if (_settings) return _settings;
+    _settings = { ...DEFAULTS };
+    DB.query(
+      `SELECT key, value FROM settings WHERE key IN (${Object.keys(DEFAULTS).map(() => '?').join(', ')})`,
+      Object.keys(DEFAULTS)
+    ).forEach(r => { if (r.value != null && r.value !== '') _settings[r.key] = r.value; });
+    return _settings;
+  }
+
+  /**
+   * Forget the cached settings — the next format reads them again.
+   */
+  function reload() {
+    _settings = null;
+    _money    = null;
+    _numbers  = {};
+  }
+
+  /**
+   * The settings in effect, defaults filled in.
+   */
+  function settings() {
+    return { ..._get() };
+  }
+
+  // Throws with a message fit to show the user
+  function _check(values) {
+    const v = { ...DEFAULTS, ...values };
+    if (!String(v.currency_symbol).trim()) throw new Error('Enter a currency symbol');
+    if (!/^[A-Z]{3}$/.test(v.currency_code))
+      throw new Error('Currency code is three capital letters, e.g. NGN or GHS');
+    try {
+      new Intl.NumberFormat(v.locale, { style: 'currency', currency: v.currency_code });
+    } catch (e) {
+      throw new Error(`Unknown currency code ${v.currency_code}`);
+    }
+    if (!LOCALES[v.locale]) throw new Error(`Unknown locale ${v.locale}`);
+    const dp = Number(v.decimal_places);
+    if (!Number.isInteger(dp) || dp < 0 || dp > MAX_DECIMALS)
+      throw new Error(`Decimal places must be 0 to ${MAX_DECIMALS}`);
+    if (!DATE_FORMATS[v.date_format]) throw new Error('Pick a date format');
+    if (!String(v.weight_unit).trim()) throw new Error('Enter a weight unit');
+    return v;
+  }
+
+  /**
+   * Check and store locale settings. Keys not given keep their value.
+   */
+  async function save(values) {
+    const v = _check({ ..._get(), ...values });
+    await DB.transaction(async tx => {
+      Object.keys(DEFAULTS).forEach(key => tx(
+        `INSERT INTO settings (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, String(v[key]).trim()]
+      ));
+    });
+    reload();
+  }
+
+  // ── Formatting ─────────────────────────────────────────────────────────────
+
+  function locale() { return _get().locale; }
+  function symbol() { return _get().currency_symbol; }
+  function unit()   { return _get().weight_unit; }
+
+  /**
+   * The locale's decimal mark — '.' or ','.
+   */
+  function decimalMark() {
+    return new Intl.NumberFormat(locale()).formatToParts(1.5)
+      .find(p => p.type === 'decimal').value;
+  }
+
+  /**
+   * A number with exactly `digits` decimals, grouped for the locale.
+   */
+  function number(value, digits = 2) {
+    if (!_numbers[digits]) _numbers[digits] = new Intl.NumberFormat(locale(), {
+      minimumFractionDigits: digits, maximumFractionDigits: digits,
+    });
+    return _numbers[digits].format(Number(value) || 0);
+  }
+
+  // Intl does the grouping and symbol placement; the shop's own symbol
+  // replaces Intl's
+  function _currency(formatter, amount) {
+    return formatter.formatToParts(Number(amount))
+      .map(p => p.type === 'currency' ? symbol() : p.value)
+      .join('');
+  }
+
+  function _currencyFormat(options) {
+    const s = _get();
+    return new Intl.NumberFormat(s.locale, {
+      style: 'currency', currency: s.currency_code, currencyDisplay: 'narrowSymbol', ...options,
+    });
+  }
+
+  /**
+   * An amount with the currency symbol — e.g. "₦6,250", "1 234,5 F CFA".
+   * Symbol only added at display time — never stored.
+   */
+  function money(amount) {
+    if (amount == null) return '—';
+    if (!_money) _money = _currencyFormat({
+      minimumFractionDigits: 0, maximumFractionDigits: Number(_get().decimal_places),
+    });
+    return _currency(_money, amount);
+  }
+
+  /**
+   * An amount in thousands or millions for tight spaces — "₦1.2M".
+   */
+  function moneyShort(amount) {
+    if (amount == null) return '—';
+    if (!_numbers.short) _numbers.short = _currencyFormat({
+      notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1,
+    });
+    return _currency(_numbers.short, amount);
+  }
+
+  /**
+   * A price per unit of weight — "₦1,100/kg".
+   */
+  function perUnit(amount) {
+    return amount == null ? '—' : `${money(amount)}/${unit()}`;
+  }
+
+  /**
+   * A weight with its unit — "12.50 kg".
+   */
+  function weight(value, digits = 2) {
+    if (value == null) return '—';
+    return `${number(value, digits)} ${unit()}`;
+  }
+
+  /**
+   * A weight with its sign spelled out — "+1.20 kg", "−0.50 kg".
+   */
+  function signedWeight(value, digits = 2) {
+    if (value == null) return '—';
+    return `${value > 0 ? '+' : value < 0 ? '−' : ''}${weight(Math.abs(value), digits)}`;
+  }
+
+  /**
+   * A YYYY-MM-DD date string for display — "Thu, 26 Feb 2026" or as set.
+   */
+  function date(dateStr) {
+    if (!dateStr) return '—';
+    // Parse as local date to avoid UTC offset shifting the day
+    const [y, m, d] = dateStr.slice(0, 10).split('-').map(Number);
+    const dd = String(d).padStart(2, '0');
+    const mm = String(m).padStart(2, '0');
+    switch (_get().date_format) {
+      case 'dd/mm/yyyy': return `${dd}/${mm}/${y}`;
+      case 'mm/dd/yyyy': return `${mm}/${dd}/${y}`;
+      case 'yyyy-mm-dd': return `${y}-${mm}-${dd}`;
+      default:
+        return new Date(y, m - 1, d).toLocaleDateString(locale(), {
+          weekday: 'short', day: '2-digit', month: 'short', year: 'numeric'
+        });
+    }
+  }
+
+  /**
+   * A YYYY-MM month for display — "February 2026".
+   */
+  function month(monthStr) {
+    const [y, m] = monthStr.split('-').map(Number);
+    return new Date(y, m - 1, 1).toLocaleDateString(locale(), { month: 'long', year: 'numeric' });
+  }
+
+  /**
+   * Put the weight unit into every element marked data-weight-unit.
+   */
+  function labelUnits(root = document) {
+    root.querySelectorAll('[data-weight-unit]').forEach(el => el.textContent = unit());
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    DEFAULTS,
+    LOCALES,
+    DATE_FORMATS,
+    MAX_DECIMALS,
+    reload,
+    settings,
+    save,
+    locale,
+    symbol,
+    unit,
+    decimalMark,
+    number,
+    money,
+    moneyShort,
+    perUnit,
+    weight,
+    signedWeight,
+    date,
+    month,
+    labelUnits,
+  };
+
+})();
@@ -0,0 +1,397 @@
+/*
+ * Gnoke Gas — import.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Import sales records from a CSV file on disk.
+ *
+ * Flow (driven by help.html):
+ *   1. CSV.parse the file
+ *   2. guessMapping — match header names to fields; the user can change it
+ *   3. prepare      — validate every line, group valid sales by day
+ *   4. apply        — write, or dry-run (same writes, rolled back)
+ *
+ * A date that already has a day row is handled by the chosen mode:
+ *   skip    — leave the day alone, import nothing for it
+ *   merge   — add the file's sales after the existing ones
+ *   replace — delete the day's sales and use the file's instead
+ *             (deliveries and expenses stay)
+ *
+ * Only bulk gas sales are imported — lines for a product (a Product
+ * column with anything but Gas) are reported, not added.
+ *
+ * Numbers take a decimal comma ('12,5') when the file is split by ; or
+ * tabs, as Excel saves it where that is the custom, or when the shop's
+ * locale writes one. Otherwise the comma groups thousands. A number whose
+ * only separator could as well be the decimal mark — '1,250' beside a
+ * decimal point, '1.250' beside a decimal comma — is refused, not guessed.
+ *
+ * Depends on db-core.js, format.js, db-sales.js, csv.js
+ */
+
+const DataImport = (() => {
+
+  // aliases are compared with case, spaces and punctuation removed
+  const FIELDS = [
+    { key: 'date',          label: 'Date',          required: true,
+      aliases: ['date', 'day', 'saledate'] },
+    { key: 'kg',            label: 'Kg',            required: true,
+      aliases: ['kg', 'gas', 'kgsold', 'soldkg', 'qty', 'quantity', 'weight'] },
+    { key: 'price',         label: 'Price',
+      aliases: ['price', 'amount', 'total', 'revenue'] },
+    { key: 'unit_price',    label: 'Unit price',
+      aliases: ['unitprice', 'unit', 'rate', 'priceperkg'] },
+    { key: 'time',          label: 'Time',
+      aliases: ['time', 'enteredat'] },
+    { key: 'payment',       label: 'Payment',
+      aliases: ['payment', 'paymentstatus', 'pay', 'status'] },
+    { key: 'amount_paid',   label: 'Amount paid',
+      aliases: ['amountpaid', 'paid'] },
+    { key: 'customer',      label: 'Customer',
+      aliases: ['customer', 'customername', 'buyer'] },
+    { key: 'product',       label: 'Product',
+      aliases: ['product', 'item'] },
+    { key: 'comments',      label: 'Comments',
+      aliases: ['comments', 'comment', 'note', 'notes', 'remarks'] },
+    { key: 'opening_stock', label: 'Opening stock',
+      aliases: ['openingstock', 'openingkg', 'opening', 'stock'] },
+  ];
+
+  const MODES = ['skip', 'merge', 'replace'];
+
+  const PAYMENTS = {
+    paid: 'paid', cash: 'paid',
+    credit: 'credit', owing: 'credit',
+    part: 'part', partpaid: 'part', partial: 'part',
+  };
+
+  const _norm = str => String(str).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  // Thrown inside the transaction to roll a dry run back
+  const DRY_RUN = Symbol('dry-run');
+
+  // ── Mapping ────────────────────────────────────────────────────────────────
+
+  /**
+   * Match header cells to fields by name.
+   * @param {string[]} headers
+   * @returns {Object<string, number>} field key → column index, -1 if unmapped
+   */
+  function guessMapping(headers) {
+    const names   = headers.map(_norm);
+    const mapping = {};
+    const used    = new Set();
+    FIELDS.forEach(f => {
+      const idx = names.findIndex((n, i) => !used.has(i) && f.aliases.includes(n));
+      mapping[f.key] = idx;
+      if (idx >= 0) used.add(idx);
+    });
+    return mapping;
+  }
+
+  // ── Value parsing ──────────────────────────────────────────────────────────
+
+  /**
+   * YYYY-MM-DD, YYYY/MM/DD, DD/MM/YYYY or DD-MM-YYYY → 'YYYY-MM-DD'.
+   * null if it is not a real calendar date.
+   */
+  function _parseDate(str) {
+    let m = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    let y, mo, d;
+    if (m) [, y, mo, d] = m;
+    else if ((m = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) [, d, mo, y] = m;
+    else return null;
+
+    const date = new Date(+y, +mo - 1, +d);
+    if (date.getFullYear() !== +y || date.getMonth() !== +mo - 1 || date.getDate() !== +d)
+      return null;
+    return `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  }
+
+  const NUMBER = {
+    point: /^-?(\d{1,3}(,\d{3})+|\d*)(\.\d+)?$/,     // 6,250.00
+    comma: /^-?(\d{1,3}(\.\d{3})+|\d*)(,\d+)?$/,     // 6.250,00
+  };
+
+  // One thousands separator and nothing else — '1,250' in a file with a
+  // decimal point, '1.250' with a decimal comma — is a decimal the other way
+  function _twoWays(str, decimalComma) {
+    const clean = str.replace(/[^\d.,-]/g, '');
+    return (decimalComma ? /^-?\d{1,3}\.\d{3}$/ : /^-?\d{1,3},\d{3}$/).test(clean);
+  }
+
+  // '₦6,250.00' → 6250, with the shop's own currency symbol too; with
+  // decimalComma '1.234,5' → 1234.5. Blank → null. Anything else → NaN.
+  function _parseNumber(str, decimalComma) {
+    const clean = str.split(Format.symbol()).join('').replace(/[₦\s]/g, '');
+    if (clean === '') return null;
+    if (!/\d/.test(clean) || _twoWays(clean, decimalComma)
+        || !NUMBER[decimalComma ? 'comma' : 'point'].test(clean)) return NaN;
+    return Number(decimalComma
+      ? clean.replace(/\./g, '').replace(',', '.')
+      : clean.replace(/,/g, ''));
+  }
+
+  // 'H:MM', 'HH:MM' or 'HH:MM:SS' → 'HH:MM:SS'
+  function _parseTime(str) {
+    const m = str.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!m || +m[1] > 23 || +m[2] > 59 || +(m[3] || 0) > 59) return null;
+    return `${m[1].padStart(2, '0')}:${m[2]}:${m[3] || '00'}`;
+  }
+
+  const _round2 = v => Math.round(v * 100) / 100;
+
+  // ── Validation ─────────────────────────────────────────────────────────────
+
+  function _prepareLine(get, today, decimalComma) {
+    const errors = [];
+    const sale   = {};
+
+    const rawDate = get('date');
+    sale.date = _parseDate(rawDate);
+    if (!rawDate)         errors.push('date is missing');
+    else if (!sale.date)  errors.push(`date "${rawDate}" is not valid — use YYYY-MM-DD or DD/MM/YYYY`);
+    else if (sale.date > today) errors.push(`date ${sale.date} is in the future`);
+
+    const num = (key, label) => {
+      const value = _parseNumber(get(key), decimalComma);
+      if (Number.isNaN(value)) {
+        errors.push(_twoWays(get(key), decimalComma)
+          ? `${label} "${get(key)}" could be read two ways — write it without the thousands separator`
+          : `${label} "${get(key)}" is not a number`);
+        return null;
+      }
+      if (value != null && value < 0) { errors.push(`${label} cannot be negative`); return null; }
+      return value;
+    };
+
+    const product = get('product');
+    if (product && _norm(product) !== 'gas') {
+      errors.push(`${product} is a product sale — only gas sales can be imported`);
+      return { sale, errors };
+    }
+
+    sale.kg            = num('kg', 'kg');
+    let price          = num('price', 'price');
+    let unitPrice      = num('unit_price', 'unit price');
+    sale.amount_paid   = num('amount_paid', 'amount paid');
+    sale.opening_stock = num('opening_stock', 'opening stock');
+
+    if (!get('kg'))                   errors.push('kg is missing');
+    else if (sale.kg === 0)           errors.push('kg must be more than 0');
+
+    if (sale.kg > 0) {
+      if (price == null && unitPrice == null) errors.push('needs a price or a unit price');
+      if (price == null && unitPrice != null) price = _round2(sale.kg * unitPrice);
+      if (unitPrice == null && price != null) unitPrice = _round2(price / sale.kg);
+    }
+    sale.price      = price;
+    sale.unit_price = unitPrice;
+
+    const rawPay = get('payment');
+    sale.payment_status = rawPay ? PAYMENTS[_norm(rawPay)] : 'paid';
+    if (!sale.payment_status) errors.push(`payment "${rawPay}" should be Paid, Credit or Part-paid`);
+
+    sale.customer = get('customer');
+    if (sale.payment_status && sale.payment_status !== 'paid' && !sale.customer)
+      errors.push('credit and part-paid sales need a customer');
+
+    if (sale.payment_status === 'part') {
+      if (!sale.amount_paid) errors.push('part-paid sales need the amount paid');
+      else if (sale.price != null && sale.amount_paid >= sale.price)
+        errors.push('amount paid must be less than the price for part-paid');
+    } else {
+      sale.amount_paid = 0;
+    }
+
+    const rawTime = get('time');
+    sale.time = rawTime ? _parseTime(rawTime) : null;
+    if (rawTime && !sale.time) errors.push(`time "${rawTime}" should be HH:MM`);
+
+    sale.comments = get('comments');
+    return { sale, errors };
+  }
+
+  /**
+   * Validate every record and group the good ones by day.
+   * Lines with any error are left out and reported.
+   *
+   * @param {Array<{line, fields}>} records — from CSV.parse
+   * @param {Object<string, number>} mapping — from guessMapping, user-edited
+   * @param {{ hasHeader?: boolean, delimiter?: string }} opts — delimiter
+   *   the file was parsed with; ; and tab mean a decimal comma
+   * @returns {{ days: Array, errors: Array<{line, message}>, rowCount: number, saleCount: number }}
+   */
+  function prepare(records, mapping, { hasHeader = true, delimiter = ',' } = {}) {
+    const missing = FIELDS.filter(f => f.required && !(mapping[f.key] >= 0));
+    if (missing.length)
+      throw new Error(`Choose a column for ${missing.map(f => f.label).join(' and ')}`);
+
+    const rows   = hasHeader ? records.slice(1) : records;
+    const today  = DB.today();
+    const decimalComma = delimiter !== ',' || Format.decimalMark() === ',';
+    const byDate = new Map();
+    const errors = [];
+    let saleCount = 0;
+
+    rows.forEach(({ line, fields }) => {
+      const get = key => mapping[key] >= 0 ? (fields[mapping[key]] ?? '').trim() : '';
+      const { sale, errors: lineErrors } = _prepareLine(get, today, decimalComma);
+      if (lineErrors.length) {
+        lineErrors.forEach(message => errors.push({ line, message }));
+        return;
+      }
+
+      if (!byDate.has(sale.date)) {
+        byDate.set(sale.date, {
+          date: sale.date, opening_stock: null, unit_price: sale.unit_price, sales: [],
+        });
+      }
+      const day = byDate.get(sale.date);
+      // First value in the file wins for day-level columns
+      if (day.opening_stock == null && sale.opening_stock != null)
+        day.opening_stock = sale.opening_stock;
+      day.sales.push({ ...sale, line });
+      saleCount++;
+    });
+
+    const days = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    return { days, errors, rowCount: rows.length, saleCount };
+  }
+
+  // ── Writing ────────────────────────────────────────────────────────────────
+
+  // customers: { ids: Map(lowercase name → id), created: number }
+  function _customerId(tx, name, customers) {
+    if (!name) return null;
+    const key = name.toLowerCase();
+    if (!customers.ids.has(key)) {
+      const existing = DB.query(
+        'SELECT id FROM customers WHERE name = ? COLLATE NOCASE', [name]
+      )[0];
+      if (existing) {
+        customers.ids.set(key, existing.id);
+      } else {
+        customers.ids.set(key, tx('INSERT INTO customers (name) VALUES (?)', [name]).lastInsertRowid);
+        customers.created++;
+      }
+    }
+    return customers.ids.get(key);
+  }
+
+  function _insertSales(tx, dayId, day, startSeq, customers) {
+    day.sales.forEach((s, i) => {
+      tx(
+        `INSERT INTO sales (day_id, seq, kg, price, unit_price, comments,
+                            customer_id, payment_status, amount_paid, entered_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [dayId, startSeq + i, s.kg, s.price, s.unit_price, s.comments,
+         _customerId(tx, s.customer, customers), s.payment_status, s.amount_paid,
+         s.time ? `${day.date} ${s.time}` : null]
+      );
+    });
+  }
+
+  // The opening entry every day has in its price log (see migration v4)
+  function _resetPriceLog(tx, dayId, date, unitPrice) {
+    tx('DELETE FROM price_changes WHERE day_id = ?', [dayId]);
+    tx(
+      `INSERT INTO price_changes (day_id, unit_price, effective_at)
+       VALUES (?, ?, ?)`,
+      [dayId, unitPrice, `${date} 00:00:00`]
+    );
+  }
+
+  /**
+   * Write prepared days in one transaction.
+   * With dryRun everything runs and is then rolled back, so the result
+   * is exactly what a real import would do.
+   *
+   * @param {{ days: Array }} prepared — from prepare()
+   * @param {{ mode?: 'skip'|'merge'|'replace', dryRun?: boolean }} opts
+   * @returns {Promise<{ added, merged, replaced, skipped, sales, customers, days: Array<{date, action, sales}> }>}
+   */
+  async function apply(prepared, { mode = 'skip', dryRun = false } = {}) {
+    if (!MODES.includes(mode)) throw new Error(`[DataImport] Unknown mode: ${mode}`);
+
+    const result = {
+      added: 0, merged: 0, replaced: 0, skipped: 0, sales: 0, customers: 0, days: [],
+    };
+
+    if (!dryRun) await DB.snapshot('Before CSV import');
+    try {
+      await DB.transaction(async tx => {
+        const customers = { ids: new Map(), created: 0 };
+
+        for (const day of prepared.days) {
+          const existing = DB.query('SELECT * FROM days WHERE date = ?', [day.date])[0];
+          // A closed day is never changed by an import
+          const action   = !existing ? 'add' : existing.closed_at ? 'closed' : mode;
+
+          if (!existing) {
+            // Without an opening stock column the day is carried forward
+            const dayId = tx(
+              'INSERT INTO days (date, opening_stock, unit_price, opening_manual) VALUES (?, ?, ?, ?)',
+              [day.date, day.opening_stock ?? 0, day.unit_price, day.opening_stock != null ? 1 : 0]
+            ).lastInsertRowid;
+            _resetPriceLog(tx, dayId, day.date, day.unit_price);
+            _insertSales(tx, dayId, day, 1, customers);
+            result.added++;
+          } else if (action === 'merge') {
+            const next = DB.query(
+              'SELECT COALESCE(MAX(seq), 0) + 1 AS next_seq FROM sales WHERE day_id = ?',
+              [existing.id]
+            )[0].next_seq;
+            _insertSales(tx, existing.id, day, next, customers);
+            result.merged++;
+          } else if (action === 'replace') {
+            tx('DELETE FROM sales WHERE day_id = ?', [existing.id]);
+            tx(
+              `UPDATE days SET opening_stock = ?, unit_price = ?,
+                               opening_manual = MAX(opening_manual, ?)
+               WHERE id = ?`,
+              [day.opening_stock ?? existing.opening_stock, day.unit_price,
+               day.opening_stock != null ? 1 : 0, existing.id]
+            );
+            _resetPriceLog(tx, existing.id, day.date, day.unit_price);
+            _insertSales(tx, existing.id, day, 1, customers);
+            result.replaced++;
+          } else {
+            result.skipped++;
+          }
+
+          const count = action === 'skip' || action === 'closed' ? 0 : day.sales.length;
+          result.sales += count;
+          result.days.push({ date: day.date, action, sales: count });
+        }
+
+        result.customers = customers.created;
+        if (dryRun) throw DRY_RUN;
+      });
+    } catch (err) {
+      if (err !== DRY_RUN) throw err;
+    }
+
+    // Re-carry opening stock from the day before the earliest one written
+    const first = result.days.find(d => d.action !== 'skip' && d.action !== 'closed');
+    if (!dryRun && first) {
+      const from = DB.query(
+        'SELECT id FROM days WHERE date < ? ORDER BY date DESC LIMIT 1', [first.date]
+      )[0] || DBSales.getDay(first.date);
+      await DBSales.carryForward(from.id);
+    }
+
+    return result;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    FIELDS,
+    MODES,
+    guessMapping,
+    prepare,
+    apply,
+  };
+
+})();
@@ -0,0 +1,313 @@
+/*
+ * Gnoke Gas — lock.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * PIN lock screen. Once an owner profile exists (db-attendants.js) every
+ * page asks who is using it before showing anything, and asks again
+ * after the idle time set by the owner. Signing in lasts for the browser
+ * tab and the station — closing the app or switching station locks it.
+ *
+ * The lock covers every station once one has it: a station with no
+ * owner of its own asks for the PIN of another station's owner, and
+ * takes on that station's profiles.
+ *
+ * Elements marked data-owner are hidden unless the owner is signed in;
+ * DB refuses station changes, restores and rollbacks to anyone else.
+ *
+ * Depends on db-core.js, db-attendants.js
+ */
+
+const Lock = (() => {
+
+  const SESSION_PREFIX = 'gnoke_gas_session.';
+  const CHECK_EVERY    = 30 * 1000;
+  const TOUCH_EVERY    = 10 * 1000;   // activity is written at most this often
+  const MAX_TRIES      = 5;
+  const WAIT_AFTER     = 30 * 1000;   // after MAX_TRIES wrong PINs in a row
+
+  let _user     = null;    // signed-in attendant { id, name, role, ... }
+  let _open     = false;   // no lock on any station — everyone is owner
+  let _watching = false;
+  let _locked   = false;
+  let _tries    = 0;
+
+  // ── Session ────────────────────────────────────────────────────────────────
+  // { id, at } in sessionStorage, per station — at is the last activity
+
+  function _sessionKey() {
+    return SESSION_PREFIX + DB.station().key;
+  }
+
+  function _readSession() {
+    try {
+      return JSON.parse(sessionStorage.getItem(_sessionKey()));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function _writeSession() {
+    sessionStorage.setItem(_sessionKey(), JSON.stringify({ id: _user.id, at: Date.now() }));
+  }
+
+  function _isIdle(session) {
+    return Date.now() - session.at > DBAttendants.getIdleMinutes() * 60 * 1000;
+  }
+
+  // ── Lock screen ────────────────────────────────────────────────────────────
+
+  // other — another station's profiles, when this one has none yet
+  function _screen(other) {
+    const el = document.createElement('div');
+    el.id = 'lock-screen';
+    el.style.cssText = [
+      'position:fixed', 'inset:0', 'z-index:300', 'display:flex',
+      'align-items:center', 'justify-content:center', 'padding:20px',
+      'background:var(--bg,#f8fafc)',
+    ].join(';');
+
+    const field = 'width:100%;padding:10px 12px;margin-bottom:10px;font-size:1rem;'
+      + 'border:1px solid var(--border,#e2e8f0);border-radius:var(--radius,6px);'
+      + 'background:var(--surface,#fff);color:var(--text,#1c1210);outline:none';
+    const stations = DB.stations();
+    const title = stations.length > 1 ? DB.station().name : 'Gnoke Gas';
+
+    el.innerHTML = `
+      <form style="width:100%;max-width:300px;padding:22px 20px;background:var(--surface,#fff);
+        border:1px solid var(--border,#e2e8f0);border-radius:var(--radius,6px);
+        box-shadow:0 4px 20px rgba(0,0,0,0.08);text-align:center">
+        <div style="font-size:1.6rem;margin-bottom:6px">🔒</div>
+        <div data-lock="title" style="font-family:var(--font-mono,monospace);font-size:0.78rem;
+          letter-spacing:0.12em;text-transform:uppercase;margin-bottom:16px"></div>
+        <div data-lock="note" style="margin:-6px 0 14px;font-size:0.75rem;
+          color:var(--muted,#64748b)"></div>
+        <select data-lock="who" style="${field}"></select>
+        <input data-lock="pin" type="password" inputmode="numeric" autocomplete="off"
+          maxlength="8" placeholder="PIN" style="${field};letter-spacing:0.3em;text-align:center" />
+        <button type="submit" style="width:100%;padding:11px;border:none;border-radius:var(--radius,6px);
+          background:var(--flame,#2563eb);color:#fff;font-weight:600;font-size:0.85rem;
+          cursor:pointer">Unlock</button>
+        <div data-lock="error" style="min-height:1.2em;margin-top:10px;font-size:0.78rem;
+          color:var(--danger,#dc2626)"></div>
+        <select data-lock="station" style="${field};margin:6px 0 0;font-size:0.8rem"></select>
+      </form>`;
+
+    el.querySelector('[data-lock="title"]').textContent = title;
+    const note = el.querySelector('[data-lock="note"]');
+    if (other) note.textContent = `First time here — ${other.station.name}'s owner unlocks `
+      + 'this station, and it takes on the same attendants and PINs';
+    else note.remove();
+    const who = el.querySelector('[data-lock="who"]');
+    (other ? other.owners : DBAttendants.getAttendants())
+      .forEach(a => who.add(new Option(a.name, a.id)));
+    const last = _readSession();
+    if (last && !other) who.value = String(last.id);
+
+    // Another station can be opened from here — its own lock asks again
+    const station = el.querySelector('[data-lock="station"]');
+    if (stations.length > 1) {
+      stations.forEach(s => station.add(new Option(`Station: ${s.name}`, s.key, s.active, s.active)));
+      station.addEventListener('change', () => _switch(station, el));
+    } else {
+      station.remove();
+    }
+    return el;
+  }
+
+  async function _switch(select, el) {
+    try {
+      await DB.switchStation(select.value);
+      window.location.reload();
+    } catch (err) {
+      select.value = DB.station().key;
+      el.querySelector('[data-lock="error"]').textContent = err.message.replace('[DB] ', '');
+    }
+  }
+
+  // Show the lock screen until someone enters their PIN — with other,
+  // until an owner of that station does
+  function _prompt(other = null) {
+    _locked = true;
+    const el    = _screen(other);
+    const form  = el.querySelector('form');
+    const who   = el.querySelector('[data-lock="who"]');
+    const pin   = el.querySelector('[data-lock="pin"]');
+    const error = el.querySelector('[data-lock="error"]');
+    document.body.appendChild(el);
+    pin.focus();
+
+    return new Promise(resolve => {
+      form.addEventListener('submit', async e => {
+        e.preventDefault();
+        const button = form.querySelector('button');
+        button.disabled = true;
+        error.textContent = '';
+        let user = null;
+        try {
+          user = other
+            ? await DBAttendants.adoptProfiles(other, Number(who.value), pin.value)
+            : await DBAttendants.checkPin(Number(who.value), pin.value);
+        } catch (err) {
+          error.textContent = err.message.replace('[DBAttendants] ', '');
+        }
+        pin.value = '';
+
+        if (!user) {
+          if (++_tries >= MAX_TRIES) {
+            error.textContent = 'Too many tries — wait 30 seconds';
+            setTimeout(() => { _tries = 0; button.disabled = false; error.textContent = ''; }, WAIT_AFTER);
+            return;
+          }
+          if (!error.textContent) error.textContent = 'Wrong PIN';
+          button.disabled = false;
+          pin.focus();
+          return;
+        }
+
+        _tries  = 0;
+        _locked = false;
+        el.remove();
+        resolve(user);
+      });
+    });
+  }
+
+  // ── Header chip ────────────────────────────────────────────────────────────
+
+  // Who is signed in, at the end of the page header — tap to lock
+  function _chip() {
+    const header = document.querySelector('.page-header');
+    if (!header || !_user) return;
+    let el = document.getElementById('lock-chip');
+    if (!el) {
+      el = document.createElement('button');
+      el.id = 'lock-chip';
+      el.type = 'button';
+      el.className = 'lock-chip';
+      el.title = 'Lock';
+      el.style.cssText = [
+        'margin-left:8px', 'padding:4px 8px', 'flex-shrink:0',
+        'font-family:var(--font-mono,monospace)', 'font-size:0.68rem', 'font-weight:500',
+        'color:#fff', 'background:rgba(255,255,255,0.18)',
+        'border:1px solid rgba(255,255,255,0.3)', 'border-radius:var(--radius,6px)',
+        'cursor:pointer',
+      ].join(';');
+      el.addEventListener('click', lock);
+      header.appendChild(el);
+    }
+    el.textContent = `🔒 ${_user.name}`;
+  }
+
+  // ── Idle watch ─────────────────────────────────────────────────────────────
+
+  function _watch() {
+    if (_watching) return;
+    _watching = true;
+
+    let touched = 0;
+    const touch = () => {
+      if (!_user || _locked || Date.now() - touched < TOUCH_EVERY) return;
+      touched = Date.now();
+      _writeSession();
+    };
+    document.addEventListener('pointerdown', touch, true);
+    document.addEventListener('keydown', touch, true);
+
+    const check = () => {
+      if (!_user || _locked) return;
+      const session = _readSession();
+      if (!session || _isIdle(session)) lock();
+    };
+    setInterval(check, CHECK_EVERY);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') check();
+    });
+  }
+
+  function _applyRole() {
+    if (!document.getElementById('lock-style')) {
+      const style = document.createElement('style');
+      style.id = 'lock-style';
+      style.textContent = 'body.not-owner [data-owner] { display:none !important; }';
+      document.head.appendChild(style);
+    }
+    document.body.classList.toggle('not-owner', !isOwner());
+    _chip();
+  }
+
+  // ── Public ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Ask for a PIN unless someone is signed in and has not gone idle.
+   * Resolves once the page may show its data. Call after DB.init.
+   */
+  async function guard() {
+    await DBAttendants.markStations();
+    if (!DBAttendants.isEnabled()) {
+      const other = await DBAttendants.lockedElsewhere();
+      if (!other) {
+        _user = null;
+        _open = true;
+        _applyRole();
+        return;
+      }
+      _user = await _prompt(other);
+    } else {
+      const session = _readSession();
+      const user = session && !_isIdle(session) ? DBAttendants.getAttendant(session.id) : null;
+      _user = user && user.active ? user : await _prompt();
+    }
+    _open = false;
+    _writeSession();
+    _watch();
+    _applyRole();
+  }
+
+  /**
+   * Lock now. When someone else unlocks, the page reloads for them.
+   */
+  async function lock() {
+    if (_locked || !DBAttendants.isEnabled()) return;
+    const before = _user;
+    _user = null;
+    _user = await _prompt();
+    _writeSession();
+    if (!before || _user.id !== before.id) window.location.reload();
+  }
+
+  /**
+   * The signed-in attendant, or null while the lock is off.
+   */
+  function current() {
+    return _user;
+  }
+
+  /**
+   * Id to stamp on a sale, or null while the lock is off.
+   */
+  function attendantId() {
+    return _user ? _user.id : null;
+  }
+
+  /**
+   * True for the owner — and for everyone while no station has the lock
+   * on. False until guard() has run.
+   */
+  function isOwner() {
+    return _user ? _user.role === 'owner' : _open;
+  }
+
+  DB.setOwnerCheck(isOwner);
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    guard,
+    lock,
+    current,
+    attendantId,
+    isOwner,
+  };
+
+})();
@@ -13,7 +13,7 @@
  *     salesChunk_0, _1 ...   → array of {gas, price, comments} (today's live data)
  *     salesMeta              → {unitPrice, newStock, lastUpdated}
  *
- * Depends on: sql.js, db-core.js, db-sales.js, localforage (cdn)
+ * Depends on: sql.js, db-core.js, db-sales.js, csv.js, localforage (cdn)
  */
 
 const Migrate = (() => {
@@ -41,24 +41,23 @@ const Migrate = (() => {
   //   S/NO,GAS,PRICE,COMMENTS,UNIT,BALANCE
   //   1,5,6250,Paid,1250,115.00
   //
-  // Returns: { unitPrice, openingStock, sales: [{seq,kg,price,comments}] }
+  // Returns: { unitPrice, openingStock, sales: [{seq,kg,price,unitPrice,comments}] }
+  // openingStock is null when no row says what was left
 
   function _parseCSV(csvString) {
-    const lines = csvString
-      .split('\n')
-      .map(l => l.trim())
-      .filter(l => l && !l.startsWith('S/NO')); // skip header and empty lines
+    // Quoted fields (comments with commas) are handled by CSV.parse
+    const rows = CSV.parse(csvString, { delimiter: ',' })
+      .map(r => r.fields)
+      .filter(cols => !cols[0].trim().startsWith('S/NO')); // skip header
 
-    if (!lines.length) return null;
+    if (!rows.length) return null;
 
     const sales      = [];
     let   unitPrice  = 0;
-    let   openStock  = 0;
+    let   openStock  = null;
     let   firstRow   = true;
 
-    for (const line of lines) {
-      // Split by comma but respect quoted fields
-      const cols = line.split(',');
+    for (const cols of rows) {
       if (cols.length < 4) continue;
 
       const seq      = parseInt(cols[0])   || 0;
@@ -78,13 +77,25 @@ const Migrate = (() => {
       }
 
       if (kg > 0) {
-        sales.push({ seq, kg, price, comments });
+        sales.push({ seq, kg, price, unitPrice: unit, comments });
       }
     }
 
+    // Rows without a unit of their own sold at the day's price
+    sales.forEach(s => { if (!s.unitPrice) s.unitPrice = unitPrice; });
+
     return { unitPrice, openingStock: openStock, sales };
   }
 
+  // The opening entry every day has in its price log (see migration v4)
+  async function _openPriceLog(dayId, date, unitPrice) {
+    await DB.run(
+      `INSERT INTO price_changes (day_id, unit_price, effective_at)
+       VALUES (?, ?, ?)`,
+      [dayId, unitPrice, `${date} 00:00:00`]
+    );
+  }
+
   // ── Run the migration ─────────────────────────────────────────────────────
 
   async function run(onProgress) {
@@ -137,6 +148,7 @@ const Migrate = (() => {
     let migratedDays  = 0;
     let migratedSales = 0;
     let skippedDays   = 0;
+    let firstDate     = null;   // earliest day written, to carry forward from
 
     // 3. Migrate historical daily records
     for (const key of dailyKeys) {
@@ -156,17 +168,24 @@ const Migrate = (() => {
         continue;
       }
 
-      const parsed = _parseCSV(csv);
+      let parsed;
+      try {
+        parsed = _parseCSV(csv);
+      } catch (e) {
+        log(`Skipping ${date} — ${e.message}.`);
+        continue;
+      }
       if (!parsed || !parsed.sales.length) {
         log(`Skipping ${date} — no valid sales rows.`);
         continue;
       }
 
-      // Insert day row
+      // Insert day row — an opening stock from the old app is kept as
+      // set by hand; without one the day is carried forward
       const dayResult = await DB.run(
-        `INSERT OR IGNORE INTO days (date, opening_stock, unit_price)
-         VALUES (?, ?, ?)`,
-        [date, parsed.openingStock, parsed.unitPrice]
+        `INSERT OR IGNORE INTO days (date, opening_stock, unit_price, opening_manual)
+         VALUES (?, ?, ?, ?)`,
+        [date, parsed.openingStock ?? 0, parsed.unitPrice, parsed.openingStock != null ? 1 : 0]
       );
 
       const dayId = dayResult.lastInsertRowid;
@@ -174,18 +193,20 @@ const Migrate = (() => {
         log(`Failed to insert day ${date}`);
         continue;
       }
+      await _openPriceLog(dayId, date, parsed.unitPrice);
 
       // Insert sales rows
       for (const s of parsed.sales) {
         await DB.run(
-          `INSERT INTO sales (day_id, seq, kg, price, comments)
-           VALUES (?, ?, ?, ?, ?)`,
-          [dayId, s.seq, s.kg, s.price, s.comments]
+          `INSERT INTO sales (day_id, seq, kg, price, unit_price, comments)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [dayId, s.seq, s.kg, s.price, s.unitPrice, s.comments]
         );
         migratedSales++;
       }
 
       migratedDays++;
+      if (!firstDate) firstDate = date;
       log(`Migrated ${date} — ${parsed.sales.length} entries`);
     }
 
@@ -199,7 +220,7 @@ const Migrate = (() => {
 
       if (!todayExists) {
         const unitPrice   = parseFloat(meta?.unitPrice)  || 0;
-        const openStock   = parseFloat(meta?.newStock)   || 0;
+        const openStock   = parseFloat(meta?.newStock);
 
         // Combine all chunks
         let allSales = [];
@@ -212,33 +233,44 @@ const Migrate = (() => {
         const validSales = allSales.filter(s => parseFloat(s.gas) > 0);
 
         if (validSales.length) {
+          const hasStock  = Number.isFinite(openStock);
           const dayResult = await DB.run(
-            `INSERT OR IGNORE INTO days (date, opening_stock, unit_price)
-             VALUES (?, ?, ?)`,
-            [todayDate, openStock, unitPrice]
+            `INSERT OR IGNORE INTO days (date, opening_stock, unit_price, opening_manual)
+             VALUES (?, ?, ?, ?)`,
+            [todayDate, hasStock ? openStock : 0, unitPrice, hasStock ? 1 : 0]
           );
           const dayId = dayResult.lastInsertRowid;
 
           if (dayId) {
+            await _openPriceLog(dayId, todayDate, unitPrice);
             for (let i = 0; i < validSales.length; i++) {
               const s = validSales[i];
               const kg    = parseFloat(s.gas)   || 0;
               const price = parseFloat(s.price) || kg * unitPrice;
               await DB.run(
-                `INSERT INTO sales (day_id, seq, kg, price, comments)
-                 VALUES (?, ?, ?, ?, ?)`,
-                [dayId, i + 1, kg, price, s.comments || '']
+                `INSERT INTO sales (day_id, seq, kg, price, unit_price, comments)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [dayId, i + 1, kg, price, unitPrice, s.comments || '']
               );
               migratedSales++;
             }
             migratedDays++;
+            if (!firstDate || todayDate < firstDate) firstDate = todayDate;
             log(`Migrated today (${todayDate}) from live chunks — ${validSales.length} entries`);
           }
         }
       }
     }
 
-    // 5. Mark migration complete
+    // 5. Re-carry opening stock from the day before the earliest one written
+    if (firstDate) {
+      const from = DB.query(
+        'SELECT id FROM days WHERE date < ? ORDER BY date DESC LIMIT 1', [firstDate]
+      )[0] || DBSales.getDay(firstDate);
+      await DBSales.carryForward(from.id);
+    }
+
+    // 6. Mark migration complete
     await DBSales.saveSetting(MIGRATION_DONE_KEY, '1');
 
     const summary = {
@@ -0,0 +1,92 @@
+/*
+ * Gnoke Gas — pwa.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Registers the service worker (sw.js) and shows a banner when a new
+ * version has been downloaded. Tapping Reload activates it; until then
+ * the page keeps running the version it opened with.
+ *
+ * Loaded by every page. No dependencies.
+ */
+
+const PWA = (() => {
+
+  let _waiting   = null;
+  let _reloading = false;
+
+  function _banner() {
+    let el = document.getElementById('pwa-update');
+    if (el) return el;
+    el = document.createElement('div');
+    el.id = 'pwa-update';
+    el.style.cssText = [
+      'position:fixed', 'left:12px', 'right:12px', 'top:12px', 'z-index:200',
+      'display:flex', 'align-items:center', 'justify-content:space-between', 'gap:10px',
+      'padding:10px 12px 10px 14px', 'background:var(--surface,#fff)',
+      'border:1px solid var(--border,#e2e8f0)', 'border-radius:var(--radius,6px)',
+      'box-shadow:0 4px 20px rgba(0,0,0,0.08)', 'font-size:0.8rem',
+      'color:var(--text,#1c1210)',
+    ].join(';');
+    el.innerHTML = `
+      <span>A new version of Gnoke Gas is ready.</span>
+      <button type="button" style="flex-shrink:0;padding:7px 14px;border:none;
+        border-radius:var(--radius,6px);background:var(--flame,#2563eb);color:#fff;
+        font-weight:600;cursor:pointer">Reload</button>`;
+    el.querySelector('button').addEventListener('click', update);
+    document.body.appendChild(el);
+    return el;
+  }
+
+  function _offer(worker) {
+    _waiting = worker;
+    _banner();
+  }
+
+  // Switch to the waiting version; the page reloads once it takes over
+  function update() {
+    if (!_waiting) return;
+    _reloading = true;
+    _waiting.postMessage('skipWaiting');
+  }
+
+  async function register() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+      const reg = await navigator.serviceWorker.register('sw.js');
+
+      // First install has no controller — nothing to update from
+      if (reg.waiting && navigator.serviceWorker.controller) _offer(reg.waiting);
+
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller)
+            _offer(worker);
+        });
+      });
+
+      // Pages stay open all day at a station — check when brought back
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') reg.update().catch(() => {});
+      });
+    } catch (err) {
+      console.warn('[PWA] Service worker not registered:', err);
+    }
+  }
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!_reloading) return;
+      window.location.reload();
+    });
+    window.addEventListener('load', register);
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    update,
+  };
+
+})();
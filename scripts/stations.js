@@ -0,0 +1,81 @@
+/*
+ * Gnoke Gas — stations.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Station switcher in the page header. Shown only once there is more
+ * than one station; picking another one makes it active and reloads the
+ * page. Stations are added and named on the help page.
+ *
+ * Depends on db-core.js, and the page's toast()
+ */
+
+const StationSwitch = (() => {
+
+  function _select() {
+    const el = document.createElement('select');
+    el.className = 'station-switch';
+    el.title = 'Switch station';
+    el.style.cssText = [
+      'max-width:46vw', 'margin:0 auto 0 10px', 'padding:4px 6px',
+      'font-family:var(--font-mono,monospace)', 'font-size:0.7rem', 'letter-spacing:0.04em',
+      'color:#fff', 'background:rgba(255,255,255,0.18)',
+      'border:1px solid rgba(255,255,255,0.3)', 'border-radius:var(--radius,6px)',
+      'outline:none', 'cursor:pointer',
+    ].join(';');
+    el.addEventListener('change', () => switchTo(el.value));
+    return el;
+  }
+
+  /**
+   * Put the switcher after the page header's title. Call after DB.init.
+   */
+  function mount() {
+    const list  = DB.stations();
+    const title = document.querySelector('.page-header h1');
+    if (list.length < 2 || !title) return;
+
+    const el = _select();
+    list.forEach(s => {
+      const opt = new Option(s.name, s.key, s.active, s.active);
+      opt.style.color = '#000';
+      el.add(opt);
+    });
+    // Next to the title, or to the block it shares with a subtitle
+    const anchor = title.parentElement.classList.contains('page-header')
+      ? title : title.parentElement;
+    anchor.insertAdjacentElement('afterend', el);
+  }
+
+  /**
+   * Build the switcher again from the station list — after another tab
+   * added, renamed or removed a station.
+   */
+  function refresh() {
+    document.querySelectorAll('.station-switch').forEach(el => el.remove());
+    mount();
+  }
+
+  async function switchTo(key) {
+    const current = DB.station().key;
+    if (key === current) return;
+    try {
+      await DB.switchStation(key);
+    } catch (err) {
+      // Still on this station — say so in the header too
+      document.querySelectorAll('.station-switch').forEach(el => el.value = current);
+      toast(err.message.replace('[DB] ', ''), 'error');
+      return;
+    }
+    window.location.reload();
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    mount,
+    refresh,
+    switchTo,
+  };
+
+})();
@@ -0,0 +1,97 @@
+/*
+ * Gnoke Gas — tabs.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Keeps a page honest when the app is open in more than one tab. After
+ * another tab saves this station, db-core.js has already reloaded the
+ * data under this page; a page out of sight then reloads itself when it
+ * is next shown and has nothing left to save, and one in view offers a
+ * Reload. A change to the station list only refreshes the switcher —
+ * this tab stays on its station. A page gone stale — another tab saved
+ * while this one still had entries to save — says so and stops saving.
+ *
+ * Loaded by every page with data. Depends on db-core.js, and stations.js
+ * where the page has the switcher
+ */
+
+const TabSync = (() => {
+
+  let _behind = false;   // showing data older than what is now saved
+  const _keeps = [];     // see keepWhile
+
+  function _banner(text, danger = false) {
+    let el = document.getElementById('tab-sync');
+    if (!el) {
+      el = document.createElement('div');
+      el.id = 'tab-sync';
+      el.style.cssText = [
+        'position:fixed', 'left:12px', 'right:12px', 'bottom:12px', 'z-index:200',
+        'display:flex', 'align-items:center', 'justify-content:space-between', 'gap:10px',
+        'padding:10px 12px 10px 14px', 'background:var(--surface,#fff)',
+        'border:1px solid var(--border,#e2e8f0)', 'border-radius:var(--radius,6px)',
+        'box-shadow:0 4px 20px rgba(0,0,0,0.08)', 'font-size:0.8rem',
+        'color:var(--text,#1c1210)',
+      ].join(';');
+      el.innerHTML = `
+        <span></span>
+        <button type="button" style="flex-shrink:0;padding:7px 14px;border:none;
+          border-radius:var(--radius,6px);background:var(--flame,#2563eb);color:#fff;
+          font-weight:600;cursor:pointer">Reload</button>`;
+      el.querySelector('button').addEventListener('click', reload);
+      document.body.appendChild(el);
+    }
+    el.querySelector('span').textContent = text;
+    el.style.borderColor = danger ? 'var(--danger,#dc2626)' : 'var(--border,#e2e8f0)';
+    return el;
+  }
+
+  function _changed(what) {
+    if (what === 'stations') {
+      if (typeof StationSwitch !== 'undefined') StationSwitch.refresh();
+      return;
+    }
+    _behind = true;
+    if (document.visibilityState === 'hidden' || DB.saveState() === 'stale') return;
+    _banner('Sales were changed in another tab.');
+  }
+
+  function _saveState(state) {
+    if (state !== 'stale') return;
+    _banner('Another tab saved first — what was entered here since the last save '
+      + 'was not saved. Reload and enter it again.', true);
+  }
+
+  // Nothing is lost by reloading a page nobody was looking at — unless
+  // something entered on it is still to be saved; then it only offers to
+  function _shown() {
+    if (!_behind || document.visibilityState !== 'visible') return;
+    const state = DB.saveState();
+    if (state === 'saved' && !_keeps.some(fn => fn())) reload();
+    else if (state !== 'stale') _banner('Sales were changed in another tab.');
+  }
+
+  function reload() {
+    window.location.reload();
+  }
+
+  /**
+   * fn() — true while the page holds entries not yet handed to the
+   * database (typed, waiting to be saved). It is not reloaded then.
+   */
+  function keepWhile(fn) {
+    _keeps.push(fn);
+  }
+
+  DB.onChange(_changed);
+  DB.onSaveState(_saveState);
+  document.addEventListener('visibilitychange', _shown);
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    reload,
+    keepWhile,
+  };
+
+})();
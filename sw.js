@@ -0,0 +1,122 @@
+/*
+ * Gnoke Gas — sw.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Service worker. Precaches every page, script and style, the seed
+ * database and the sql.js build kept in vendor/, then serves them
+ * cache-first so the app opens with no connection at all.
+ *
+ * Bump VERSION with every release. The browser sees sw.js has changed,
+ * installs the new cache alongside the old one and waits; scripts/pwa.js
+ * then offers the reload that switches over.
+ */
+
+const VERSION = 'gnoke-gas-v9';
+const RUNTIME = 'gnoke-gas-runtime';
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'sales.html',
+  'history.html',
+  'reports.html',
+  'debtors.html',
+  'help.html',
+  'day-report.html',
+  'receipt.html',
+  'manifest.webmanifest',
+  'styles/global.css',
+  'assets/bg2.webp',
+  'assets/icon.svg',
+  'data/gas.db',
+  'scripts/pwa.js',
+  'scripts/db-migrations.js',
+  'scripts/db-core.js',
+  'scripts/tabs.js',
+  'scripts/stations.js',
+  'scripts/format.js',
+  'scripts/db-sales.js',
+  'scripts/db-products.js',
+  'scripts/db-attendants.js',
+  'scripts/lock.js',
+  'scripts/db-deliveries.js',
+  'scripts/db-expenses.js',
+  'scripts/db-backup.js',
+  'scripts/backup-crypto.js',
+  'scripts/charts.js',
+  'scripts/csv.js',
+  'scripts/export.js',
+  'scripts/import.js',
+  'scripts/migrate.js',
+  'scripts/day-report.js',
+  'vendor/sql.js/sql-wasm.js',
+  'vendor/sql.js/sql-wasm.wasm',
+  'https://cdnjs.cloudflare.com/ajax/libs/localforage/1.10.0/localforage.min.js',
+];
+
+// Pretty URLs from _redirects — /sales serves sales.html
+const ROUTES = {
+  '/':           'index.html',
+  '/sales':      'sales.html',
+  '/history':    'history.html',
+  '/reports':    'reports.html',
+  '/debtors':    'debtors.html',
+  '/help':       'help.html',
+  '/day-report': 'day-report.html',
+  '/receipt':    'receipt.html',
+};
+
+self.addEventListener('install', e => {
+  e.waitUntil(caches.open(VERSION).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', e => {
+  e.waitUntil((async () => {
+    const keep = [VERSION, RUNTIME];
+    for (const key of await caches.keys()) {
+      if (!keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Sent by scripts/pwa.js when the user accepts the update
+self.addEventListener('message', e => {
+  if (e.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', e => {
+  if (e.request.method !== 'GET') return;
+  e.respondWith(_respond(e.request));
+});
+
+async function _respond(request) {
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === location.origin) {
+    const path  = url.pathname.replace(/\/+$/, '') || '/';
+    const route = ROUTES[path.slice(path.lastIndexOf('/')) || '/'];
+    const hit   = await caches.match(route || request, { ignoreSearch: true });
+    if (hit) return hit;
+  }
+
+  const cached = await caches.match(request, { ignoreSearch: url.origin === location.origin });
+  if (cached) return cached;
+
+  // Anything not precached (web fonts, mostly) is kept once fetched
+  try {
+    const res = await fetch(request);
+    if (res.ok || res.type === 'opaque') {
+      const cache = await caches.open(RUNTIME);
+      cache.put(request, res.clone());
+    }
+    return res;
+  } catch (err) {
+    if (request.mode === 'navigate') {
+      const home = await caches.match('index.html');
+      if (home) return home;
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,80 @@
+/*
+ * Gnoke Gas — tests/import.test.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Numbers in imported CSV files. Run with: node --test tests/
+ *
+ * The browser scripts are loaded as they are, with a DB that has no
+ * settings saved — so Format uses its defaults (en-NG, ₦).
+ */
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const vm     = require('node:vm');
+
+function load(settings = []) {
+  const context = vm.createContext({
+    DB: { query: () => settings, today: () => '2026-03-01' },
+  });
+  for (const file of ['format.js', 'csv.js', 'import.js']) {
+    const src = fs.readFileSync(path.join(__dirname, '..', 'scripts', file), 'utf8');
+    vm.runInContext(src.replace(/^const (\w+) =/m, 'var $1 ='), context, { filename: file });
+  }
+  return context;
+}
+
+// Sales prepared from CSV text, with the delimiter sniffed as help.html does
+function prepare(text, settings) {
+  const { CSV, DataImport } = load(settings);
+  const delimiter = CSV.sniffDelimiter(text);
+  const records   = CSV.parse(text, { delimiter });
+  const mapping   = DataImport.guessMapping(records[0].fields);
+  const prepared  = DataImport.prepare(records, mapping, { delimiter });
+  // Array.from — arrays made inside the vm never deep-equal ones made here
+  return {
+    sales:  Array.from(prepared.days.flatMap(d => d.sales), s => ({ kg: s.kg, price: s.price })),
+    errors: Array.from(prepared.errors, e => `${e.line}: ${e.message}`),
+  };
+}
+
+test('a ; file reads the comma as the decimal mark', () => {
+  const r = prepare('Date;Kg;Price\n2026-02-01;12,5;1.234,5\n2026-02-02;3;4500\n');
+  assert.deepStrictEqual(r.errors, []);
+  assert.deepStrictEqual(r.sales, [{ kg: 12.5, price: 1234.5 }, { kg: 3, price: 4500 }]);
+});
+
+test('a tab file reads the comma as the decimal mark', () => {
+  const r = prepare('Date\tKg\tPrice\n2026-02-01\t12,5\t1.234,5\n');
+  assert.deepStrictEqual(r.sales, [{ kg: 12.5, price: 1234.5 }]);
+});
+
+test('a decimal-comma locale reads the comma as the decimal mark', () => {
+  const r = prepare('Date,Kg,Price\n2026-02-01,"12,5","1 234,5"\n',
+                    [{ key: 'locale', value: 'fr-CI' }]);
+  assert.deepStrictEqual(r.sales, [{ kg: 12.5, price: 1234.5 }]);
+});
+
+test('a , file still reads grouped amounts', () => {
+  const r = prepare('Date,Kg,Price\n2026-02-01,12.5,"₦6,250.00"\n2026-02-02,2,"1,234,500"\n');
+  assert.deepStrictEqual(r.errors, []);
+  assert.deepStrictEqual(r.sales, [{ kg: 12.5, price: 6250 }, { kg: 2, price: 1234500 }]);
+});
+
+test('a , file refuses numbers that read two ways', () => {
+  const r = prepare('Date,Kg,Price\n2026-02-01,"12,5",100\n2026-02-02,2,"1,250"\n');
+  assert.deepStrictEqual(r.sales, []);
+  assert.deepStrictEqual(r.errors.slice(0, 2), [
+    '2: kg "12,5" is not a number',
+    '3: price "1,250" could be read two ways — write it without the thousands separator',
+  ]);
+});
+
+test('a ; file refuses a point that could group thousands', () => {
+  const r = prepare('Date;Kg;Price\n2026-02-01;2;1.250\n');
+  assert.deepStrictEqual(r.sales, []);
+  assert.strictEqual(r.errors[0],
+    '2: price "1.250" could be read two ways — write it without the thousands separator');
+});